@@ -0,0 +1,11 @@
+"use strict";
+
+// Compile the dictionary in a worker thread, so that the server keeps
+// answering the requests while it is reloaded (see `reloadDictionary()`).
+// The dictionary is saved as the JSON file, which the main thread reads once
+// the worker is done, rather than sent to it.
+const { parentPort } = require("worker_threads");
+const { compileDictionary, writeDictionary } = require("./eldamo");
+
+writeDictionary(compileDictionary());
+parentPort.postMessage("compiled");
@@ -0,0 +1,45 @@
+"use strict";
+
+/**
+ * Return the edit distance between the strings a and b, counting
+ * insertions, deletions, substitutions and transpositions of two adjacent
+ * characters (optimal string alignment distance).
+ *
+ * The computation stops as soon as the distance is known to be greater
+ * than max, in which case max + 1 is returned.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  if (a === b) return 0;
+
+  // Three rows of the dynamic programming matrix: the one before the
+  // previous one is needed for transpositions
+  let prevPrev = new Array(b.length + 1);
+  let prev = new Array(b.length + 1);
+  let current = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(
+        prev[j] + 1, // deletion
+        current[j - 1] + 1, // insertion
+        prev[j - 1] + cost // substitution
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1])
+        d = Math.min(d, prevPrev[j - 2] + 1); // transposition
+      current[j] = d;
+      if (d < rowMin) rowMin = d;
+    }
+    // No alignment can get back below max
+    if (rowMin > max) return max + 1;
+    [prevPrev, prev, current] = [prev, current, prevPrev];
+  }
+
+  return Math.min(prev[b.length], max + 1);
+}
+
+module.exports = { editDistance };
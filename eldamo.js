@@ -0,0 +1,403 @@
+"use strict";
+
+const fs = require("fs");
+const crypto = require("crypto");
+const xmlDoc = require("xmldoc").XmlDocument;
+const ASCIIFolder = require("./ascii-folder");
+const asciiFolder = new ASCIIFolder();
+const { compileNotes } = require("./notes");
+const { applyTengwarHint } = require("./tengwar");
+const { transliterate, orthographyOf, canonicalize } = require("./orthography");
+
+// The eldamo XML file, and the dictionary compiled from it
+const XML_PATH = __dirname + "/eldamo-data.xml";
+const JSON_PATH = __dirname + "/eldamo-data.json";
+
+// The version of the format of the compiled dictionary. Increment it when
+// the compilation changes, so that a stale JSON file gets recompiled.
+const DICTIONARY_VERSION = 12;
+
+// The eldamo elements describing a relationship with another word, and the
+// type of link they are turned into
+const LINK_TYPES = {
+  cognate: "cognate",
+  deriv: "derived-from",
+  see: "see-also",
+  "see-also": "see-also",
+  "see-further": "see-also",
+  "see-notes": "see-also",
+  related: "variant",
+};
+
+// Ignore the following words when building the index from the lemma (v)
+// and the gloss (definition)
+const STOP_WORDS = [
+  "?",
+  "[]",
+  "[=",
+  "&",
+  "=",
+  "-",
+  "*-",
+  "/",
+  ">>}",
+  "a",
+  "b",
+  "c.",
+  "am",
+  "an",
+  "as",
+  "at",
+  "be",
+  "by",
+  "do",
+  "f.",
+  "go",
+  "he",
+  "i",
+  "if",
+  "in",
+  "it",
+  "is",
+  "m.",
+  "me",
+  "my",
+  "n.",
+  "no",
+  "o",
+  "of",
+  "on",
+  "or",
+  "q.",
+  "sg",
+  "so",
+  "t.",
+  "to",
+  "the",
+  "up",
+  "us",
+  "we",
+  "(lit.", // For the "*(lit.)" case
+  "lit.", // For the "(lit.)" case
+  "...",
+];
+
+/**
+ * Return an array of strings representing terms to index the lemma (v)
+ * of this entry with.
+ */
+function computeLemmaIndex(node) {
+  const index = [];
+
+  // The index includes an ascii and case folded version of the words of the
+  // lemma (v), in their canonical spelling
+  const orthography = orthographyOf(node.attr.l);
+  const v = asciiFolder
+    .fold(transliterate(node.attr.v ?? ""))
+    .toLowerCase()
+    .split(" ");
+  for (const word of v) if (word) index.push(canonicalize(word, orthography));
+
+  return index;
+}
+
+/**
+ * Return an array of strings representing terms to index the gloss
+ * (definition) of this entry with.
+ */
+function computeGlossIndex(node) {
+  const index = [];
+
+  // The index includes the words from the gloss (definition)
+  // (ngloss is the gloss including neo- definitions, use it
+  // if present)
+  const phrases = asciiFolder
+    .fold(node.attr.ngloss ?? node.attr.gloss ?? "")
+    .toLowerCase()
+    .split(/[,;]/);
+
+  for (const phrase of phrases) {
+    for (let word of phrase.split(" ")) {
+      if (word) {
+        const firstChar = word[0];
+        if (/[\*\?\(\{\[]/.test(firstChar)) word = word.substring(1);
+
+        const lastChar = word[word.length - 1];
+        if (/[\]\)]/.test(lastChar)) word = word.substring(0, -1);
+
+        if (isIndexWord(word)) index.push(word);
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Return true if the word is worth indexing, or searching for, that is
+ * if it is not empty, a number or a stop word
+ */
+function isIndexWord(word) {
+  return word && !/[0-9]+/.test(word) && !STOP_WORDS.includes(word);
+}
+
+/**
+ * Return the lemma for the node, with any necessary tengwar correction
+ * applied (i.e. initial noldo, suule, etc...), and the description of the
+ * corrections
+ */
+function correctTengwar(node) {
+  const v = node.attr.v;
+  const tengwar = node.attr.tengwar;
+  if (!v || !tengwar) return { v, corrections: undefined };
+
+  // The `tengwar` attribute contains a hint for the tengwar spelling
+  // of some words.
+  // This is useful for words that begin with "n" (some of which should
+  // be written with noldo rather than nuumen) or that contain an
+  // "s" that should be written with a
+  // thorn or tilde-n to indicate that suule rather than silme
+  const result = applyTengwarHint(v, tengwar);
+  if (result.unapplied.length > 0)
+    console.log(`Unknown tengwar hint "${tengwar}" for "${v}"`);
+
+  return { v: result.v, corrections: result.corrections };
+}
+
+/**
+ * Turn the eldamo XML dictionary into an array of entries
+ */
+
+function compileDictionaryRecursive(node) {
+  let result = [];
+  if (node.name === "word") {
+    // Without a language, an element is in the language of the word
+    const elements = node
+      .childrenNamed("element")
+      .filter((x) => x.attr.v !== undefined)
+      .map((x) => ({ v: x.attr.v, language: x.attr.l ?? node.attr.l }));
+    const notes = node.childNamed("notes");
+    const citations = node.childrenNamed("ref").map(compileCitation);
+    const spelling = correctTengwar(node);
+    result = [
+      {
+        // The eldamo id, if any. See `assignIds()`
+        id: node.attr["page-id"],
+        v: spelling.v,
+        // The lemma as spelled in eldamo, before the tengwar hint is applied
+        eldamoV: node.attr.v,
+        lemmaIndex: computeLemmaIndex(node),
+        glossIndex: computeGlossIndex(node),
+        language: node.attr.l,
+        pos: node.attr.speech ?? "", // Part of speech
+        gloss: node.attr.ngloss ?? node.attr.gloss,
+        stem: node.attr.stem,
+        notes: notes ? compileNotes(notes, node.attr.l) : undefined,
+        tengwar: node.attr.tengwar,
+        // How the tengwar hint was applied to the lemma, if any
+        tengwarCorrections: spelling.corrections,
+        elements,
+        links: compileLinks(node),
+        citations,
+        // The number of citations of the word in Tolkien's writings
+        attestations: citations.length,
+        inflections: compileInflections(node),
+      },
+    ];
+  }
+  node.eachChild((child) => {
+    result.push(...compileDictionaryRecursive(child));
+  });
+
+  return result;
+}
+
+/**
+ * Return the links of a word node to other words (cognates, derivations,
+ * references...), each one with its `type` (see LINK_TYPES), the `v` and
+ * the `language` of the word it links to
+ */
+function compileLinks(node) {
+  const result = [];
+  const seen = new Set();
+  node.eachChild((child) => {
+    const type = LINK_TYPES[child.name];
+    const v = child.attr.v;
+    if (!type || !v) return;
+    // Without a language, the word is in the same language
+    const language = child.attr.l ?? node.attr.l;
+    const key = [type, language, v].join("|");
+    if (seen.has(key)) return;
+    seen.add(key);
+    result.push({ type, v, language });
+  });
+  return result;
+}
+
+/**
+ * Return a citation of a word from a `ref` node, with the abbreviation of
+ * the `source`, the `page`, the form of the word (`v`) and its `gloss` as
+ * cited. The eldamo references are in the form "source/page.line", i.e.
+ * "LotR/0078.1000" is page 78 of the Lord of the Rings.
+ */
+function compileCitation(node) {
+  const [source, location = ""] = (node.attr.source ?? "").split("/");
+  return {
+    source,
+    page: location.split(".")[0].replace(/^0+(?=.)/, ""),
+    v: node.attr.v,
+    gloss: node.attr.gloss,
+  };
+}
+
+/**
+ * Return the inflected forms of a word node, as attested in eldamo, each one
+ * with its `v`, its `form` (as described by eldamo, i.e. "genitive plural"),
+ * its grammatical `tags`, and the `citations` (source and page) of the
+ * references it is found in
+ */
+function compileInflections(node) {
+  const result = new Map();
+  const add = (inflect, citation) => {
+    const v = inflect.attr.v;
+    const form = inflect.attr.form ?? "";
+    if (!v) return;
+    const key = form + "|" + v;
+    if (!result.has(key)) {
+      result.set(key, {
+        v,
+        form,
+        tags: form.split(" ").filter((x) => x),
+        citations: [],
+      });
+    }
+    if (citation) {
+      const { source, page } = citation;
+      result.get(key).citations.push({ source, page });
+    }
+  };
+
+  for (const inflect of node.childrenNamed("inflect")) add(inflect);
+  for (const ref of node.childrenNamed("ref")) {
+    const citation = compileCitation(ref);
+    for (const inflect of ref.childrenNamed("inflect")) add(inflect, citation);
+  }
+
+  return [...result.values()];
+}
+
+/**
+ * Give an id to the entries that don't have an eldamo id. The id is derived
+ * from the language, lemma (as spelled in eldamo), part of speech and gloss
+ * of the entry, so that it is the same each time the dictionary is compiled
+ * from the same eldamo data. The entries whose eldamo id is already used
+ * are numbered the same way.
+ */
+function assignIds(entries) {
+  // The eldamo ids, that the ids derived from the entries must not take
+  const eldamoIds = new Set(entries.map((entry) => entry.id).filter((x) => x));
+  const ids = new Set();
+  for (const entry of entries) {
+    let id = entry.id;
+    if (id && !ids.has(id)) {
+      ids.add(id);
+      continue;
+    }
+
+    if (id) {
+      console.log(`Duplicate eldamo id "${id}" for "${entry.eldamoV}"`);
+    } else {
+      const slug = asciiFolder
+        .fold(transliterate(entry.eldamoV ?? ""))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "");
+      const hash = crypto
+        .createHash("sha1")
+        .update(
+          [entry.language, entry.eldamoV, entry.pos, entry.gloss].join("|")
+        )
+        .digest("hex")
+        .substring(0, 8);
+      id = `${entry.language}-${slug}-${hash}`;
+    }
+
+    // Identical entries are numbered in the order they appear in
+    let n = 1;
+    entry.id = id;
+    while (ids.has(entry.id) || eldamoIds.has(entry.id))
+      entry.id = `${id}-${++n}`;
+    ids.add(entry.id);
+  }
+  return entries;
+}
+
+/**
+ * Read the dictionary as a JSON file, if available.
+ * If the JSON file is not present, or was compiled with an older version
+ * of the compiler, or if `recompile` is true, create it from the XML file,
+ * then write it to disk.
+ * When updating eldamo, simply delete the JSON file, and run once, or
+ * reload the dictionary.
+ */
+function readDictionary(recompile = false) {
+  if (!recompile) {
+    try {
+      // Read saved JSON  file
+      const json = JSON.parse(fs.readFileSync(JSON_PATH, { encoding: "utf8" }));
+      if (json.version === DICTIONARY_VERSION) return json.entries;
+    } catch (err) {
+      // Compile the XML file below
+    }
+  }
+
+  const result = compileDictionary();
+  try {
+    writeDictionary(result);
+  } catch (err) {
+    console.log("Error writing dictionary", err);
+  }
+  return result;
+}
+
+/**
+ * Compile the eldamo XML file. Throw an error if the file is incomplete
+ * (i.e. still being copied), rather than return part of the dictionary.
+ */
+function compileDictionary() {
+  const data = fs.readFileSync(XML_PATH, { encoding: "utf8" });
+  const document = new xmlDoc(data);
+
+  // The parser does not report a missing end tag
+  if (!data.trimEnd().endsWith(`</${document.name}>`))
+    throw new Error(
+      `The eldamo XML file does not end with </${document.name}>`
+    );
+
+  const result = assignIds(compileDictionaryRecursive(document));
+  if (result.length === 0)
+    throw new Error("The eldamo XML file does not contain any word");
+  return result;
+}
+
+/**
+ * Save the compiled dictionary as the JSON file read by `readDictionary()`.
+ * The file is written under another name first, so that a partially written
+ * file is never read.
+ */
+function writeDictionary(entries) {
+  const path = JSON_PATH + ".tmp";
+  fs.writeFileSync(
+    path,
+    JSON.stringify({ version: DICTIONARY_VERSION, entries }),
+    { encoding: "utf8" }
+  );
+  fs.renameSync(path, JSON_PATH);
+}
+
+module.exports = {
+  XML_PATH,
+  isIndexWord,
+  readDictionary,
+  compileDictionary,
+  writeDictionary,
+};
@@ -0,0 +1,230 @@
+"use strict";
+
+// Irregular English forms, mapped to their base form.
+// Ambiguous forms, that are also common base words (i.e. "left", "rose",
+// "wound", "fell", "saw", "found"), are not included.
+// A map, since the words come from the queries (i.e. "__proto__").
+const IRREGULAR_FORMS = new Map(
+  Object.entries({
+    // Plurals
+    men: "man",
+    women: "woman",
+    children: "child",
+    feet: "foot",
+    teeth: "tooth",
+    geese: "goose",
+    mice: "mouse",
+    lice: "louse",
+    oxen: "ox",
+    people: "person",
+    elves: "elf",
+    dwarves: "dwarf",
+    dwarfs: "dwarf",
+    wolves: "wolf",
+    leaves: "leaf",
+    knives: "knife",
+    wives: "wife",
+    halves: "half",
+    selves: "self",
+    shelves: "shelf",
+    thieves: "thief",
+    loaves: "loaf",
+    calves: "calf",
+    hooves: "hoof",
+    staves: "staff",
+    sheaves: "sheaf",
+    // Verbs
+    was: "be",
+    were: "be",
+    been: "be",
+    had: "have",
+    did: "do",
+    done: "do",
+    went: "go",
+    gone: "go",
+    ate: "eat",
+    eaten: "eat",
+    became: "become",
+    began: "begin",
+    begun: "begin",
+    bled: "bleed",
+    blew: "blow",
+    blown: "blow",
+    bred: "breed",
+    broke: "break",
+    broken: "break",
+    brought: "bring",
+    built: "build",
+    bought: "buy",
+    came: "come",
+    caught: "catch",
+    chose: "choose",
+    chosen: "choose",
+    dealt: "deal",
+    drank: "drink",
+    drew: "draw",
+    drawn: "draw",
+    drove: "drive",
+    driven: "drive",
+    dug: "dig",
+    dwelt: "dwell",
+    fed: "feed",
+    fallen: "fall",
+    fled: "flee",
+    flew: "fly",
+    flown: "fly",
+    forsook: "forsake",
+    forsaken: "forsake",
+    fought: "fight",
+    froze: "freeze",
+    frozen: "freeze",
+    gave: "give",
+    given: "give",
+    grew: "grow",
+    grown: "grow",
+    heard: "hear",
+    held: "hold",
+    hid: "hide",
+    hidden: "hide",
+    hung: "hang",
+    kept: "keep",
+    knew: "know",
+    known: "know",
+    lain: "lie",
+    led: "lead",
+    lent: "lend",
+    lost: "lose",
+    made: "make",
+    meant: "mean",
+    met: "meet",
+    ran: "run",
+    rang: "ring",
+    rode: "ride",
+    ridden: "ride",
+    risen: "rise",
+    said: "say",
+    sang: "sing",
+    sung: "sing",
+    sank: "sink",
+    sunk: "sink",
+    sat: "sit",
+    seen: "see",
+    sent: "send",
+    shone: "shine",
+    slain: "slay",
+    slew: "slay",
+    slept: "sleep",
+    smote: "smite",
+    smitten: "smite",
+    sold: "sell",
+    sought: "seek",
+    spoke: "speak",
+    spoken: "speak",
+    sprang: "spring",
+    sprung: "spring",
+    stolen: "steal",
+    stood: "stand",
+    strove: "strive",
+    striven: "strive",
+    struck: "strike",
+    swam: "swim",
+    swum: "swim",
+    swore: "swear",
+    sworn: "swear",
+    taught: "teach",
+    took: "take",
+    taken: "take",
+    thought: "think",
+    threw: "throw",
+    thrown: "throw",
+    told: "tell",
+    tore: "tear",
+    torn: "tear",
+    understood: "understand",
+    wept: "weep",
+    woke: "wake",
+    woken: "wake",
+    wore: "wear",
+    worn: "wear",
+    wrote: "write",
+    written: "write",
+  })
+);
+
+// Words ending in "-ed" or "-ing" that are not inflected forms
+const UNINFLECTED_WORDS = new Set([
+  "hundred",
+  "kindred",
+  "sacred",
+  "naked",
+  "wicked",
+  "wretched",
+  "evening",
+  "morning",
+  "nothing",
+  "something",
+  "anything",
+  "everything",
+  "ceiling",
+  "darling",
+]);
+
+/**
+ * Return a normalized form of an English word (ascii and case folded), with
+ * its inflection removed, so that the various forms of a word (i.e.
+ * "sing", "sings", "singing" and "sang") have the same normalized form.
+ *
+ * The normalized form is not necessarily a word (i.e. "love", "loves" and
+ * "loved" are all normalized to "lov"), it is only meant to be compared
+ * with other normalized forms.
+ */
+function normalizeEnglish(word) {
+  word = IRREGULAR_FORMS.get(word) ?? word;
+  if (word.length <= 3) return word;
+
+  // The plural (or third person) first, so that the -ed and -ing rules
+  // apply the same way to a word and its plural ("evening", "evenings")
+  let m;
+  if ((m = word.match(/^(.{2,})ies$/))) {
+    // "stories"
+    word = m[1] + "y";
+  } else if ((m = word.match(/^(.+(?:ss|sh|ch|x|z))es$/))) {
+    // "kisses", "branches"
+    word = m[1];
+  } else if (/[^su]s$/.test(word) && !/is$/.test(word)) {
+    // "stars", but not "kiss", "bus" or "axis"
+    word = word.substring(0, word.length - 1);
+  }
+
+  if (UNINFLECTED_WORDS.has(word)) return word;
+
+  if ((m = word.match(/^(.{2,})ied$/))) {
+    // "carried"
+    word = m[1] + "y";
+  } else if ((m = word.match(/^(.*[aeiouy].*)ing$/)) && m[1].length >= 3) {
+    // "singing", "running", but not "king"
+    word = undouble(m[1]);
+  } else if ((m = word.match(/^(.*[aeiouy].*[^e])ed$/)) && m[1].length >= 3) {
+    // "loved", "stopped", but not "shed" or "speed"
+    word = undouble(m[1]);
+  }
+
+  // A final silent "e": "love" and "loving"
+  if (word.length > 3 && word.endsWith("e") && !word.endsWith("ee"))
+    word = word.substring(0, word.length - 1);
+
+  return word;
+}
+
+/**
+ * Remove a doubled final consonant, as in "runn(ing)", except for the
+ * consonants that are commonly doubled in base forms ("fall", "kiss", "buzz")
+ */
+function undouble(word) {
+  const last = word[word.length - 1];
+  if (word[word.length - 2] === last && /[bcdfghjkmnpqrtvwx]/.test(last))
+    return word.substring(0, word.length - 1);
+  return word;
+}
+
+module.exports = { normalizeEnglish };
@@ -0,0 +1,16 @@
+"use strict";
+
+/**
+ * An error caused by an invalid request parameter. It is reported to the
+ * client as a 400 response, with `details` included in the JSON body.
+ */
+class QueryError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "QueryError";
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+module.exports = { QueryError };
@@ -5,95 +5,545 @@ const app = express();
 
 const os = require("os");
 const fs = require("fs");
-const xmlDoc = require("xmldoc").XmlDocument;
+const crypto = require("crypto");
+const { Worker } = require("worker_threads");
 const ASCIIFolder = require("./ascii-folder");
 const asciiFolder = new ASCIIFolder();
+const { QueryError } = require("./errors");
+const { LANGUAGE_GROUPS, parseLanguageFilter } = require("./languages");
+const { editDistance } = require("./edit-distance");
+const { SearchIndex } = require("./search-index");
+const { SuggestIndex } = require("./suggest-index");
+const { normalizeEnglish } = require("./english");
+const { analyzeWord, declineQuenyaNoun } = require("./morphology");
+const { NOTES_FORMATS, renderNotes } = require("./notes");
+const { XML_PATH, isIndexWord, readDictionary } = require("./eldamo");
+const { applyTengwarHint } = require("./tengwar");
+const {
+  MODES,
+  DAN_SMITH_FONTS,
+  transcribeWord,
+  transcribePunctuation,
+  encodeCsur,
+  encodeDanSmith,
+  isCsurTengwar,
+  decodeTengwar,
+  readTengwar,
+} = require("./transcription");
+const {
+  ORTHOGRAPHIES,
+  transliterate,
+  orthographyOf,
+  canonicalize,
+} = require("./orthography");
+const {
+  DEFAULT_EXCLUDED_POS,
+  partsOfSpeech,
+  parsePartOfSpeechFilter,
+  matchPartOfSpeech,
+} = require("./parts-of-speech");
 
-// Ignore the following words when building the index from the lemma (v)
-// and the gloss (definition)
-const STOP_WORDS = [
-  "?",
-  "[]",
-  "[=",
-  "&",
-  "=",
-  "-",
-  "*-",
-  "/",
-  ">>}",
-  "a",
-  "b",
-  "c.",
-  "am",
-  "an",
-  "as",
-  "at",
-  "be",
-  "by",
-  "do",
-  "f.",
-  "go",
-  "he",
-  "i",
-  "if",
-  "in",
-  "it",
-  "is",
-  "m.",
-  "me",
-  "my",
-  "n.",
-  "no",
-  "o",
-  "of",
-  "on",
-  "or",
-  "q.",
-  "sg",
-  "so",
-  "t.",
-  "to",
-  "the",
-  "up",
-  "us",
-  "we",
-  "(lit.", // For the "*(lit.)" case
-  "lit.", // For the "(lit.)" case
-  "...",
-];
-
-const gShortDefinitions = new Map();
-
-const gEldamoDictionary = loadDictionary();
+// The score of a word of the gloss that matches the query once their
+// inflection is removed (i.e. "stars" and "star"). It is lower than the
+// score of an exact match (99).
+const NORMALIZED_SCORE = 95;
+
+// The score of a lemma found by the morphological analysis of the query,
+// i.e. "elen" for "elenion". It is lower than the score of any lemma that
+// matches the query, even with spelling mistakes (see FUZZY_MAX_SCORE).
+const ANALYSIS_SCORE = 1;
+
+// The highest score of a fuzzy match (a match with a spelling mistake).
+// Fuzzy matches are only attempted for queries of at least
+// FUZZY_MIN_QUERY_LENGTH characters, and a prefix match of such a query
+// scores at least 98 * 4 / word.length, so for any index word shorter than
+// 40 characters a fuzzy match ranks below an exact or prefix match.
+const FUZZY_MAX_SCORE = 9;
+const FUZZY_MIN_QUERY_LENGTH = 4;
+
+// The largest number of spelling mistakes that can be tolerated
+const FUZZY_MAX_TOLERANCE = 3;
+
+// The largest number of entries that can be requested at once
+const MAX_LIMIT = 1000;
+
+// The largest number of tokens in a batch lookup, and the default number
+// of entries returned for each token
+const BATCH_MAX_TOKENS = 200;
+const BATCH_LIMIT = 20;
+
+// The default and largest number of suggestions
+const SUGGEST_LIMIT = 10;
+const SUGGEST_MAX_LIMIT = 50;
+
+// How often to check if the eldamo XML file changed, in milliseconds. The
+// dictionary is reloaded once the file has not changed for that long.
+const DICTIONARY_WATCH_INTERVAL = 5000;
+
+// The encodings of a query in tengwar
+const TENGWAR_ENCODINGS = ["csur", "dan-smith"];
+// The largest number of readings of a query in tengwar that are looked up
+const TENGWAR_MAX_READINGS = 16;
+
+// The languages whose nouns follow the regular Quenya declension
+const DECLINED_LANGUAGES = ["q", "nq"];
+
+// The default and largest depth of the etymology trees
+const ETYMOLOGY_DEPTH = 5;
+const ETYMOLOGY_MAX_DEPTH = 10;
+// The largest number of nodes of an etymology tree
+const ETYMOLOGY_MAX_NODES = 200;
+
+// The dictionary and the indexes built from it. They are replaced all at
+// once when the dictionary is reloaded (see `installDictionary()`).
+let gEldamoDictionary;
+
+// The glosses of each lemma
+let gShortDefinitions;
+
+// The entries, by id
+let gEntriesById;
+
+// The inverted indexes of the words of the lemmas and of the glosses
+let gLemmaIndex;
+let gGlossIndex;
+
+// The entries built from each element (by its key, see `elementKey()`)
+let gDerivatives;
+
+// The entries, by lemma (see `lemmaKey()`), to resolve the elements
+let gEntriesByLemma;
+
+// The completions of the lemmas and glosses, for suggestions
+let gSuggestIndex;
+
+// The languages of the dictionary, by orthography
+let gOrthographyLanguages;
+
+// All the parts of speech that occur in the dictionary
+let gPartsOfSpeech;
+
+// Without a dictionary (i.e. the XML file is missing or invalid), the server
+// answers with no entries until the XML file is fixed
+installDictionary(loadDictionary() ?? []);
 
 /**
  * Give a query string, return an array of entries that match.
  * Each entry includes a score property from 1-100 indicating how
- * closely it matches the query. The entries are in no particular order.
+ * closely it matches the query. The entries are sorted by decreasing
+ * score, then by language and lemma.
+ * Each entry also includes a matched property indicating if the query
+ * matched the "lemma" (the Elvish word), the "gloss" (the English meaning)
+ * or "both".
+ *
+ * If `options.languages` is a set of language codes, only the entries
+ * in one of those languages are considered.
+ * If `options.partsOfSpeech` is a set, only the entries with one of those
+ * parts of speech are considered. The entries with a part of speech in
+ * `options.excludedPartsOfSpeech` are skipped (see `matchPartOfSpeech()`
+ * for the default).
+ * `options.fuzziness` is the number of spelling mistakes to tolerate, or
+ * "auto" (the default) to pick one based on the length of the query.
+ * `options.direction` is "lemma" to search only the lemmas, "gloss" to
+ * search only the glosses, or "both" (the default).
+ *
+ * The query can include several words, and "quoted" phrases which must
+ * appear as is in the gloss (or lemma). If `options.match` is "all" (the
+ * default), an entry must match all the words and phrases of the query.
+ * If it is "any", it must match at least one, and the more it matches, the
+ * higher its score.
+ *
+ * If a single word query does not match exactly a lemma, it is analyzed as
+ * a possibly inflected Quenya or Sindarin word. The lemmas found this way
+ * include an analysis property describing the inflection, including those
+ * the query also matches otherwise (i.e. "lassi" matches "lassë" fuzzily).
  */
-function matchQuery(q) {
+function matchQuery(q, options = {}) {
+  const fuzziness = options.fuzziness ?? "auto";
+  const direction = options.direction ?? "both";
+
+  const query = parseQuery(q);
+  const terms = [
+    ...query.words.map((word) =>
+      matchWord(word, fuzzyTolerance(word, fuzziness), direction)
+    ),
+    ...query.phrases.map((phrase) => matchPhrase(phrase, direction)),
+  ];
+  const matches = combineTerms(terms, options.match ?? "all");
+
+  // The query is analyzed when it matches no lemma exactly
+  if (
+    query.words.length === 1 &&
+    query.phrases.length === 0 &&
+    direction !== "gloss" &&
+    ![...terms[0].lemma.values()].some((score) => score >= 99)
+  ) {
+    for (const [i, analysis] of matchAnalyses(query.words[0])) {
+      const match = matches.get(i);
+      if (match) {
+        match.analysis = analysis;
+        if (match.matched === "gloss") match.matched = "both";
+      } else {
+        matches.set(i, {
+          wordScore: ANALYSIS_SCORE,
+          matched: "lemma",
+          analysis,
+        });
+      }
+    }
+  }
+
+  // The query as a whole, to check for a perfect match
+  const whole = q
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((x) => x)
+    .join(" ");
+
   let result = [];
-  for (const entry of gEldamoDictionary) {
-    const score = computeScore(entry, q);
+  // Keep the entries in dictionary order
+  for (const i of [...matches.keys()].sort((a, b) => a - b)) {
+    const entry = gEldamoDictionary[i];
+    if (options.languages && !options.languages.has(entry.language)) continue;
+    if (
+      !matchPartOfSpeech(
+        entry,
+        options.partsOfSpeech,
+        options.excludedPartsOfSpeech
+      )
+    )
+      continue;
+    const { wordScore, matched, analysis } = matches.get(i);
+    const score = computeScore(entry, whole, wordScore, direction);
     if (score > 0) {
-      result.push({
-        ...entry,
-        score,
-        elements: entry.elements.map((v) => {
-          return { v, gloss: gShortDefinitions.get(v) ?? "" };
-        }),
-      });
+      result.push({ ...formatEntry(entry), score, matched, analysis });
+    }
+  }
+  return result.sort(compareResults);
+}
+
+/**
+ * Return an entry as sent to the client: without its indexes and its
+ * inflections (see `/inflections/:id`), with the short definition of its
+ * elements, and with the id and gloss of the entries it links to
+ */
+function formatEntry(entry) {
+  const { lemmaIndex, glossIndex, inflections, eldamoV, ...fields } = entry;
+  return {
+    ...fields,
+    elements: entry.elements.map(({ v, language }) => {
+      return { v, language, gloss: gShortDefinitions.get(v) ?? "" };
+    }),
+    links: entry.links.map(formatLink),
+  };
+}
+
+/**
+ * Return a link as sent to the client. If it refers to a single entry, the
+ * id and gloss of that entry are included.
+ */
+function formatLink(link) {
+  const entries = resolveElement(link.v, link.language);
+  if (entries.length !== 1)
+    return { ...link, gloss: gShortDefinitions.get(link.v) ?? "" };
+  return { ...link, id: entries[0].id, gloss: entries[0].gloss ?? "" };
+}
+
+/**
+ * Split a query (ascii and case folded) into "quoted" phrases and words.
+ * The stop words are ignored, unless the query has only stop words.
+ */
+function parseQuery(q) {
+  const phrases = [];
+  const rest = q.replace(/"([^"]*)"?/g, (_match, phrase) => {
+    phrase = phrase
+      .split(/\s+/)
+      .filter((x) => x)
+      .join(" ");
+    if (phrase) phrases.push(phrase);
+    return " ";
+  });
+
+  const words = rest.split(/\s+/).filter((x) => x);
+  const indexWords = words.filter((x) => isIndexWord(x));
+
+  return {
+    phrases,
+    words: indexWords.length > 0 || phrases.length > 0 ? indexWords : words,
+  };
+}
+
+/**
+ * Return the entries that match the word q in the lemma and in the gloss
+ * index (unless excluded by the direction), as two maps of entries
+ * (as numbers) to their best word score.
+ */
+function matchWord(q, tolerance, direction) {
+  return {
+    lemma: direction === "gloss" ? new Map() : matchLemmaWord(q, tolerance),
+    gloss:
+      direction === "lemma"
+        ? new Map()
+        : matchIndexWord(gGlossIndex, q, tolerance),
+  };
+}
+
+/**
+ * Return a map of the entries (as numbers) that have a word of their lemma
+ * matching the word q, with the best word score of each entry.
+ * Since the lemmas are indexed by their canonical spelling, which depends
+ * on their language, q is canonicalized in each orthography.
+ */
+function matchLemmaWord(q, tolerance) {
+  // The orthographies in which q has each canonical spelling
+  const variants = new Map();
+  for (const orthography of ORTHOGRAPHIES) {
+    const variant = canonicalize(q, orthography);
+    variants.set(variant, [...(variants.get(variant) ?? []), orthography]);
+  }
+  if (variants.size === 1)
+    return matchIndexWord(gLemmaIndex, [...variants.keys()][0], tolerance);
+
+  const result = new Map();
+  for (const [variant, orthographies] of variants) {
+    for (const [i, score] of matchIndexWord(gLemmaIndex, variant, tolerance)) {
+      const entry = gEldamoDictionary[i];
+      if (!orthographies.includes(orthographyOf(entry.language))) continue;
+      if (!(result.get(i) >= score)) result.set(i, score);
+    }
+  }
+  return result;
+}
+
+/**
+ * Return a map of the entries (as numbers) that have a term of the search
+ * index matching the word q, with the best word score of each entry.
+ */
+function matchIndexWord(searchIndex, q, tolerance) {
+  // Score each candidate term once, and keep the best word score of
+  // each entry
+  const wordScores = new Map();
+  const addTermScore = (t, wordScore) => {
+    for (const i of searchIndex.entries(t)) {
+      if (!(wordScores.get(i) >= wordScore)) wordScores.set(i, wordScore);
+    }
+  };
+
+  const candidates = searchIndex.candidateTerms(q, tolerance);
+  if (isDevelopment())
+    checkCandidateTerms(searchIndex, q, tolerance, candidates);
+  for (const t of candidates) {
+    const wordScore = computeWordScore(searchIndex.terms[t], q, tolerance);
+    if (wordScore > 0) addTermScore(t, wordScore);
+  }
+
+  // The terms that only differ from q by their inflection
+  for (const t of searchIndex.termsNormalizedAs(q)) {
+    if (searchIndex.terms[t] !== q) addTermScore(t, NORMALIZED_SCORE);
+  }
+
+  return wordScores;
+}
+
+/**
+ * Debugging function to check that the candidate terms of a query include
+ * all the terms of the search index that match it, as a full scan would
+ * find them
+ */
+function checkCandidateTerms(searchIndex, q, tolerance, candidates) {
+  const found = new Set(candidates);
+  const missed = searchIndex.terms.filter(
+    (term, t) => !found.has(t) && computeWordScore(term, q, tolerance) > 0
+  );
+  if (missed.length > 0)
+    console.error(`Candidates of "${q}" (${tolerance}) missed`, missed);
+}
+
+/**
+ * Return a map of the entries (as numbers) whose lemma the word may be an
+ * inflected form of, with the analysis of the word
+ */
+function matchAnalyses(word) {
+  // The languages of the analyses are also orthographies
+  const lemmaEntries = (form, language) =>
+    [
+      ...gLemmaIndex.entriesWithTerm(canonicalize(form, language)),
+      ...gLemmaIndex.entriesWithTerm(canonicalize(form, language) + "-"),
+    ].filter((i) =>
+      LANGUAGE_GROUPS[language].includes(gEldamoDictionary[i].language)
+    );
+
+  const result = new Map();
+  const analyses = analyzeWord(
+    word,
+    (form, language) => lemmaEntries(form, language).length > 0
+  );
+  for (const analysis of analyses) {
+    for (const i of lemmaEntries(analysis.form, analysis.language)) {
+      if (!result.has(i)) result.set(i, analysis);
     }
   }
   return result;
 }
 
+/**
+ * Combine the matches of the terms (words and phrases) of a query.
+ * Return a map of the entries (as numbers) to their word score and the
+ * side of the entry that matched ("lemma", "gloss" or "both").
+ *
+ * The word score of an entry is the average of the best score of each
+ * term, so that the entries matching more terms, or matching them better,
+ * rank higher.
+ */
+function combineTerms(terms, match) {
+  const candidates = new Set();
+  for (const term of terms) {
+    for (const i of term.lemma.keys()) candidates.add(i);
+    for (const i of term.gloss.keys()) candidates.add(i);
+  }
+
+  const result = new Map();
+  for (const i of candidates) {
+    let total = 0;
+    let count = 0;
+    const sides = new Set();
+    for (const term of terms) {
+      const lemma = term.lemma.get(i) ?? 0;
+      const gloss = term.gloss.get(i) ?? 0;
+      if (lemma <= 0 && gloss <= 0) continue;
+      total += Math.max(lemma, gloss);
+      count += 1;
+      if (lemma >= gloss) sides.add("lemma");
+      if (gloss >= lemma) sides.add("gloss");
+    }
+    if (match === "all" && count < terms.length) continue;
+
+    result.set(i, {
+      wordScore: total / terms.length,
+      matched: sides.size > 1 ? "both" : [...sides][0],
+    });
+  }
+  return result;
+}
+
+/**
+ * Return the entries whose lemma or gloss (unless excluded by the
+ * direction) includes the phrase, as two maps of entries (as numbers) to
+ * their score. The phrase must match whole words.
+ */
+function matchPhrase(phrase, direction) {
+  return {
+    lemma:
+      direction === "gloss"
+        ? new Map()
+        : matchIndexPhrase(
+            phrase,
+            (word) => matchLemmaWord(word, 0),
+            (entry) =>
+              computePhraseScore(
+                canonicalLemma(entry),
+                canonicalize(phrase, orthographyOf(entry.language))
+              )
+          ),
+    gloss:
+      direction === "lemma"
+        ? new Map()
+        : matchIndexPhrase(
+            phrase,
+            (word) => matchIndexWord(gGlossIndex, word, 0),
+            (entry) =>
+              computePhraseScore(
+                asciiFolder.fold(entry.gloss ?? "").toLowerCase(),
+                phrase
+              )
+          ),
+  };
+}
+
+/**
+ * Return a map of the entries (as numbers) matching the phrase, with their
+ * score as computed by `scorePhrase(entry)`. The candidates are the entries
+ * returned by `matchWord(word)` for the longest word of the phrase.
+ */
+function matchIndexPhrase(phrase, matchWord, scorePhrase) {
+  // The candidates are the entries matching the longest word of the
+  // phrase, or all the entries if the phrase has only stop words
+  const words = phrase.split(" ").filter((x) => isIndexWord(x));
+  let candidates;
+  if (words.length > 0) {
+    const longest = words.reduce((a, b) => (b.length > a.length ? b : a));
+    candidates = matchWord(longest).keys();
+  } else {
+    candidates = gEldamoDictionary.keys();
+  }
+
+  const result = new Map();
+  for (const i of candidates) {
+    const score = scorePhrase(gEldamoDictionary[i]);
+    if (score > 0) result.set(i, score);
+  }
+  return result;
+}
+
+/**
+ * Compute a score from 0 to 99 indicating how well the text (a lemma or a
+ * gloss, ascii and case folded) matches the phrase. Each of the comma
+ * separated parts of the text is considered, and scored like a word would be
+ * with `computeWordScore()`, but the phrase must start and end on word
+ * boundaries.
+ */
+function computePhraseScore(text, phrase) {
+  let score = 0;
+  for (let part of text.split(/[,;]/)) {
+    part = part
+      .split(/\s+/)
+      .filter((x) => x)
+      .join(" ");
+    if (part === phrase) return 99;
+    if (part.startsWith(phrase + " "))
+      score = Math.max(score, (98 * phrase.length) / part.length);
+    else if (` ${part} `.includes(` ${phrase} `))
+      score = Math.max(score, (70 * phrase.length) / part.length);
+  }
+  return score;
+}
+
+/**
+ * Compare two results: best score first, then ties are broken by language
+ * and by lemma, so that the order is deterministic
+ */
+function compareResults(a, b) {
+  if (a.score !== b.score) return b.score - a.score;
+  const language = compareStrings(a.language ?? "", b.language ?? "");
+  if (language !== 0) return language;
+  const lemma = compareStrings(
+    asciiFolder.fold(a.v ?? "").toLowerCase(),
+    asciiFolder.fold(b.v ?? "").toLowerCase()
+  );
+  if (lemma !== 0) return lemma;
+  return compareStrings(a.v ?? "", b.v ?? "");
+}
+
+function compareStrings(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
 // gRing is a dynamic, fixed-size cache
 const RING_SIZE = 40;
 const gRing = new Array(RING_SIZE);
 
 let gRingIndex = 0;
 
+/**
+ * Remove all the results from the ring, i.e. when the dictionary changes
+ */
+function clearRing() {
+  gRing.fill(undefined);
+  gRingIndex = 0;
+}
+
 function addToRing(k, v) {
   gRing[gRingIndex] = { key: k, value: v };
   gRingIndex = (gRingIndex + 1) % RING_SIZE;
@@ -128,31 +578,66 @@ function getFromRing(k) {
   return result;
 }
 
+/**
+ * Return the number of spelling mistakes to tolerate when matching q
+ */
+function fuzzyTolerance(q, fuzziness) {
+  if (q.length < FUZZY_MIN_QUERY_LENGTH) return 0;
+  if (fuzziness === "auto") return q.length < 8 ? 1 : 2;
+  // More mistakes would match almost any word of the same length
+  return Math.min(fuzziness, Math.floor((q.length - 2) / 2));
+}
+
+/**
+ * Return the lemma of an entry in its canonical spelling
+ */
+function canonicalLemma(entry) {
+  return canonicalize(
+    asciiFolder.fold(transliterate(entry.v ?? "")).toLowerCase(),
+    orthographyOf(entry.language)
+  );
+}
+
 /**
  * Compute a score from 0 to 100 indicate how well this node
  * matches the query q. q should be ascii and case folded.
+ * wordScore is the best score of the words of the index of the node,
+ * as returned by `computeWordScore()`.
+ * The direction indicates if the lemma, the gloss or both were searched.
  */
-function computeScore(node, q) {
-  let score = 0;
-  for (const word of node.index) {
-    score = Math.max(score, computeWordScore(word, q));
-    if (score === 99) {
-      // The whole word matched.
-      // Check if this is a perfect match for the lemma or the gloss.
-      if (asciiFolder.fold(node.v).toLowerCase() === q) return 100;
-      if (node.gloss && asciiFolder.fold(node.gloss).toLowerCase() === q)
-        return 100;
-    }
+function computeScore(node, q, wordScore, direction = "both") {
+  if (wordScore === 99) {
+    // The whole word matched.
+    // Check if this is a perfect match for the lemma or the gloss.
+    if (
+      direction !== "gloss" &&
+      canonicalLemma(node) === canonicalize(q, orthographyOf(node.language))
+    )
+      return 100;
+    if (
+      direction !== "lemma" &&
+      node.gloss &&
+      asciiFolder.fold(node.gloss).toLowerCase() === q
+    )
+      return 100;
   }
 
-  return Math.round(score);
+  return Math.round(wordScore);
 }
 
-function computeWordScore(word, q) {
+function computeWordScore(word, q, tolerance = 0) {
   if (word === q) return 99;
   if (word.startsWith(q)) return (98 * q.length) / word.length;
   if (word.indexOf(q) >= 0) return (70 * q.length) / word.length;
 
+  if (tolerance > 0) {
+    // The more mistakes, the lower the score. Never return less than 1
+    // so that a rounded fuzzy score is not mistaken for no match.
+    const d = editDistance(word, q, tolerance);
+    if (d <= tolerance)
+      return Math.max(1, FUZZY_MAX_SCORE * (1 - d / (tolerance + 1)));
+  }
+
   return 0;
 }
 
@@ -172,222 +657,1350 @@ function dumpRing() {
   console.log(result);
 }
 
-// Startup the app
-app.set("port", process.env.PORT ?? 39999);
+/**
+ * Read the search options from the query string of a request.
+ * Throw a QueryError if an option is invalid.
+ */
+function parseSearchOptions(query) {
+  const { partsOfSpeech, excludedPartsOfSpeech } =
+    parsePartOfSpeechOptions(query);
 
-// Search route
-app.get("/define/:word", (req, res) => {
+  const direction = query.direction ?? "both";
+  if (!["lemma", "gloss", "both"].includes(direction)) {
+    throw new QueryError(
+      `Invalid direction "${direction}". Use "lemma", "gloss" or "both".`
+    );
+  }
+
+  const match = query.match ?? "all";
+  if (match !== "all" && match !== "any")
+    throw new QueryError(`Invalid match value "${match}". Use "all" or "any".`);
+
+  return {
+    languages: parseLanguageFilter(query.lang),
+    partsOfSpeech,
+    excludedPartsOfSpeech,
+    fuzziness: parseFuzziness(query.fuzzy),
+    match,
+    direction,
+  };
+}
+
+/**
+ * Parse the `fuzzy` query parameter: "auto" or the number of spelling
+ * mistakes to tolerate (0 to turn off fuzzy matching).
+ */
+function parseFuzziness(value) {
+  if (value === undefined || value === "auto") return "auto";
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > FUZZY_MAX_TOLERANCE) {
+    throw new QueryError(
+      `Invalid fuzzy value "${value}". ` +
+        `Use "auto" or a number from 0 to ${FUZZY_MAX_TOLERANCE}.`
+    );
+  }
+  return n;
+}
+
+/**
+ * Read the pagination parameters (`offset` and `limit`) from the query
+ * string of a request. Return undefined if neither is present.
+ */
+function parsePagination(query) {
+  if (query.offset === undefined && query.limit === undefined) return undefined;
+
+  const offset = Number(query.offset ?? 0);
+  if (!Number.isInteger(offset) || offset < 0)
+    throw new QueryError(`Invalid offset "${query.offset}"`);
+
+  const limit = Number(query.limit ?? MAX_LIMIT);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new QueryError(
+      `Invalid limit "${query.limit}". Use a number from 1 to ${MAX_LIMIT}.`
+    );
+  }
+
+  return { offset, limit };
+}
+
+/**
+ * Return the key of a query and its options in the ring
+ */
+function ringKey(q, options) {
+  let key = q;
+  for (const [name, value] of Object.entries(options)) {
+    if (value === undefined) continue;
+    key += `|${name}=`;
+    key += value instanceof Set ? [...value].sort().join(",") : value;
+  }
+  return key;
+}
+
+/**
+ * Allow the routes to be called from any web page
+ */
+function allowCrossOrigin(res, methods = "GET") {
   res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET");
-  res.header("Access-Control-Allow-Headers", "X-Requested-With");
+  res.header("Access-Control-Allow-Methods", methods);
+  res.header("Access-Control-Allow-Headers", "X-Requested-With, Content-Type");
+}
+
+/**
+ * Return the query q (as typed by the user) ascii and case folded
+ */
+function foldQuery(q) {
+  return asciiFolder.fold(transliterate(q)).toLowerCase();
+}
+
+/**
+ * Return the array of entries matching the query q (ascii and case folded)
+ */
+function lookup(q, options) {
+  const key = ringKey(q, options);
+  console.time(`Definition "${key}"`);
+  const r = matchQuery(q, options);
+  console.timeEnd(`Definition "${key}"`);
+  return r;
+}
 
-  let q = asciiFolder.fold(req.params.word).toLowerCase();
+/**
+ * Return the response to a `/define` query (as typed by the user, possibly
+ * in tengwar), from the ring if possible: the `total` number of entries,
+ * and the `json` of the entries, or of the page of entries if `pagination`
+ * is specified
+ */
+function define(q, options, pagination, output, tengwar) {
+  const encoding = tengwarEncoding(q, tengwar);
+  const key = ringKey(encoding ? q : foldQuery(q), {
+    ...options,
+    ...pagination,
+    ...output,
+    tengwar: encoding,
+    modes: encoding
+      ? tengwar.modes.map((x) => `${x.language}-${x.mode}`).join(",")
+      : undefined,
+  });
 
-  let r = getFromRing(q);
+  let r = getFromRing(key);
   if (r) {
-    if (isDevelopment()) console.log(`Definition "${q}" from ring`);
+    if (isDevelopment()) console.log(`Definition "${key}" from ring`);
   } else {
-    console.time(`Definition "${q}"`);
-    r = JSON.stringify(matchQuery(q));
-    addToRing(q, r);
-    console.timeEnd(`Definition "${q}"`);
+    const entries = encoding
+      ? lookupTengwar(q, encoding, tengwar.modes, options)
+      : lookup(foldQuery(q), options);
+
+    // Without pagination, the response is the array of all the results
+    let body;
+    if (!pagination) {
+      body = formatOutput(entries, output);
+    } else {
+      const { offset, limit } = pagination;
+      body = {
+        total: entries.length,
+        offset,
+        limit,
+        entries: formatOutput(entries.slice(offset, offset + limit), output),
+      };
+    }
+    r = { total: entries.length, json: JSON.stringify(body) };
+    addToRing(key, r);
   }
 
   // dumpRing();
 
-  res.setHeader("Content-Type", "application/json");
-  res.send(r);
-});
+  return r;
+}
 
-app.use((_req, res, _next) => {
-  res.status(404).send("Unknown route. Use /define/:word");
-});
+/**
+ * Return the lemmas and glosses starting with the prefix (ascii and case
+ * folded), in the languages of the set `languages` if provided
+ */
+function suggest(prefix, limit, languages) {
+  const restrict = (set) =>
+    languages ? new Set([...set].filter((x) => languages.has(x))) : set;
 
-app.listen(app.get("port"), () => {
-  if (isDevelopment())
-    console.log(
-      "Listening at",
-      `http://${os.hostname()}:${app.get("port")}/define/`
-    );
-});
+  // The lemmas are indexed by their canonical spelling, which depends on
+  // their orthography. The glosses are indexed as is.
+  const queries = ORTHOGRAPHIES.map((orthography) => ({
+    prefix: canonicalize(prefix, orthography),
+    kind: "lemma",
+    languages: restrict(gOrthographyLanguages.get(orthography)),
+  }));
+  queries.push({ prefix, kind: "gloss", languages });
+
+  return gSuggestIndex.suggest(queries, limit);
+}
 
 /**
- * Return an array of strings representing terms to index this entry with.
- * The index is composed of the lemma (v) and the gloss (definition) for the
- * entry.
+ * Return the key of an element or of a lemma to find the entries built
+ * from it: ascii and case folded, without the "*" of reconstructed forms
+ * or the final "-" of roots and stems (i.e. "*kal-" and "KAL" have the
+ * same key)
  */
-function computeIndex(node) {
-  const index = [];
+function elementKey(v) {
+  return foldQuery(v).replace(/^\*|-$/g, "");
+}
 
-  // The index includes an ascii and case folded version of the words of the
-  // lemma (v)
-  const v = asciiFolder.fold(node.attr.v).toLowerCase().split(" ");
-  for (const word of v) if (word) index.push(word);
+/**
+ * Return the entries whose elements include the lemma, grouped by
+ * language, in the languages of the set `languages` if provided, formatted
+ * as requested by `output`
+ */
+function findDerivatives(lemma, languages, output) {
+  const result = {};
+  let total = 0;
+  for (const i of gDerivatives.get(elementKey(lemma)) ?? []) {
+    const entry = gEldamoDictionary[i];
+    if (languages && !languages.has(entry.language)) continue;
+    result[entry.language] = result[entry.language] ?? [];
+    result[entry.language].push(formatEntry(entry));
+    total += 1;
+  }
 
-  // ...and the words from the gloss (definition)
-  // (ngloss is the gloss including neo- definitions, use it
-  // if present)
-  const phrases = asciiFolder
-    .fold(node.attr.ngloss ?? node.attr.gloss ?? "")
-    .toLowerCase()
-    .split(/[,;]/);
+  // List the languages in a consistent order
+  const sorted = {};
+  for (const language of Object.keys(result).sort())
+    sorted[language] = formatOutput(result[language], output);
 
-  for (const phrase of phrases) {
-    for (let word of phrase.split(" ")) {
-      if (word) {
-        const firstChar = word[0];
-        if (/[\*\?\(\{\[]/.test(firstChar)) word = word.substring(1);
+  return { total, languages: sorted };
+}
 
-        const lastChar = word[word.length - 1];
-        if (/[\]\)]/.test(lastChar)) word = word.substring(0, -1);
+/**
+ * Return the key of a lemma in an orthography, to find the entries an
+ * element refers to. The element may be spelled differently than the lemma
+ * (i.e. "nóre" and "ñóre").
+ */
+function lemmaKey(v, orthography) {
+  return orthography + ":" + canonicalize(elementKey(v), orthography);
+}
 
-        if (word && !/[0-9]+/.test(word) && !STOP_WORDS.includes(word)) {
-          index.push(word);
-        }
-      }
-    }
-  }
-  return index;
-}
-
-/**
- * Return the lemma for the node, with any necessary tengwar correction
- * applied (i.e. initial noldo, suule, etc...)
- */
-function correctTengwar(node) {
-  let v = node.attr.v;
-  const tengwar = node.attr.tengwar;
-  if (!v || !tengwar) return v;
-
-  // The `tengwar` attribute contains a hint for the tengwar spelling
-  // of some words.
-  // This is useful for words that begin with "n" (some of which should
-  // be written with noldo rather than nuumen) or that contain an
-  // "s" that should be written with a
-  // thorn or tilde-n to indicate that suule rather than silme
-  if (tengwar === "ñ" || tengwar === "ñ-") {
-    // The ñ/noldo can only be the initial letter
-    if (v[0] === "n") v = "ñ" + v.substring(1);
-    else if (v[0] === "N") v = "Ñ" + v.substring(1);
-  } else if (tengwar === "þ" || tengwar === "þ-") {
-    // Firs "s" in word is assumed to be the one the tengwar correction applies to
-    const index = v.toLowerCase().indexOf("s");
-    if (index >= 0) {
-      v =
-        v.substr(0, index) +
-        (v[index] === "S" ? "Þ" : "þ") +
-        v.substr(index + 1);
-    }
-  } else if (tengwar === "ñorþus") {
-    v = "Ñorþus";
-  }
+/**
+ * Return the entries an element (as found in the `elements` of an entry)
+ * may refer to, in `language` if specified. If several entries have the
+ * same key, only the ones spelled exactly as the element are returned, if
+ * any (i.e. the root "ÉL" rather than the Quenya "él").
+ */
+function resolveElement(v, language) {
+  const orthographies = language ? [orthographyOf(language)] : ORTHOGRAPHIES;
+  const found = new Set();
+  for (const orthography of orthographies)
+    for (const i of gEntriesByLemma.get(lemmaKey(v, orthography)) ?? [])
+      found.add(i);
 
-  return v;
+  const result = [...found]
+    .sort((a, b) => a - b)
+    .map((i) => gEldamoDictionary[i])
+    .filter((entry) => !language || entry.language === language);
+  const exact = result.filter((entry) => entry.v === v);
+  return exact.length > 0 ? exact : result;
 }
 
 /**
- * Turn the eldamo XML dictionary into an array of entries
+ * Return the etymology tree of an entry: the entry, with its elements
+ * expanded recursively up to `depth` levels.
+ *
+ * Each node has the id, lemma (v), language, part of speech and gloss of
+ * an entry, and its `elements`, each with the `v` and `language` of the
+ * element and the `entries` it may refer to (none if the element is not in
+ * the dictionary, several if it is ambiguous). The elements of a node are
+ * not expanded if the node is one of its own ancestors (`cycle`), if they
+ * were already expanded elsewhere in the tree (`repeated`), or if the depth
+ * limit or ETYMOLOGY_MAX_NODES is reached (`truncated`).
+ *
+ * `tree` is the state of the whole tree: its number of `nodes`, the
+ * entries that were `expanded`, and the `ancestors` of the current node.
  */
+function buildEtymology(
+  entry,
+  depth,
+  tree = { nodes: 0, expanded: new Set(), ancestors: new Set() }
+) {
+  tree.nodes += 1;
+  const node = {
+    id: entry.id,
+    v: entry.v,
+    language: entry.language,
+    pos: entry.pos,
+    gloss: entry.gloss,
+  };
+  if (entry.elements.length === 0) return node;
+  if (tree.ancestors.has(entry.id)) return { ...node, cycle: true };
+  if (tree.expanded.has(entry.id)) return { ...node, repeated: true };
+  if (depth === 0 || tree.nodes >= ETYMOLOGY_MAX_NODES)
+    return { ...node, truncated: true };
 
-function compileDictionaryRecursive(node) {
-  let result = [];
-  if (node.name === "word") {
-    const pos = node.attr.speech ?? ""; // Part of speech
-    if (
-      pos !== "suf" &&
-      pos !== "pref" &&
-      pos !== "phoneme" &&
-      pos !== "phonetics" &&
-      pos !== "phonetic-rule" &&
-      pos !== "phonetic-group" &&
-      pos !== "grammar"
-    ) {
-      const elements = node
-        .childrenNamed("element")
-        .map((x) => x.attr.v)
-        .filter((x) => x !== undefined);
-      const notes = node.childNamed("notes");
-      result = [
-        {
-          v: correctTengwar(node),
-          index: computeIndex(node),
-          language: node.attr.l,
-          pos,
-          gloss: node.attr.ngloss ?? node.attr.gloss,
-          stem: node.attr.stem,
-          notes: notes ? notes.val : undefined,
-          tengwar: node.attr.tengwar,
-          elements,
-        },
-      ];
-    }
+  tree.ancestors.add(entry.id);
+  tree.expanded.add(entry.id);
+  node.elements = entry.elements.map(({ v, language }) => ({
+    v,
+    language,
+    entries: resolveElement(v, language).map((x) =>
+      buildEtymology(x, depth - 1, tree)
+    ),
+  }));
+  tree.ancestors.delete(entry.id);
+
+  return node;
+}
+
+/**
+ * Return the inflected forms of an entry: the forms `attested` in eldamo,
+ * and the forms of the regular paradigm of the word (`computed`), if it is
+ * a Quenya noun
+ */
+function findInflections(entry) {
+  const computed =
+    DECLINED_LANGUAGES.includes(entry.language) &&
+    partsOfSpeech(entry).includes("n") &&
+    /^[^\s-]+$/.test(entry.v ?? "")
+      ? declineQuenyaNoun(entry.v, entry.stem)
+      : [];
+
+  return {
+    id: entry.id,
+    v: entry.v,
+    language: entry.language,
+    pos: entry.pos,
+    attested: entry.inflections,
+    computed,
+  };
+}
+
+/**
+ * Return the value of an integer parameter, or `defaultValue` if it is not
+ * specified
+ */
+function parseIntegerParameter(query, name, defaultValue, min, max) {
+  if (query[name] === undefined) return defaultValue;
+  const value = Number(query[name]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new QueryError(
+      `Invalid ${name} "${query[name]}". Use a number from ${min} to ${max}.`
+    );
   }
-  node.eachChild((child) => {
-    result.push(...compileDictionaryRecursive(child));
-  });
+  return value;
+}
 
-  return result;
+/**
+ * Return the parts of speech to include (`pos`) and to exclude
+ * (`exclude-pos`) of the query parameters. An empty `pos` is no filter, an
+ * empty `exclude-pos` excludes nothing (see `matchPartOfSpeech()`).
+ */
+function parsePartOfSpeechOptions(query) {
+  let partsOfSpeech = parsePartOfSpeechFilter(query.pos, gPartsOfSpeech);
+  if (partsOfSpeech?.size === 0) partsOfSpeech = undefined;
+  const excludedPartsOfSpeech = parsePartOfSpeechFilter(
+    query["exclude-pos"],
+    gPartsOfSpeech
+  );
+  return { partsOfSpeech, excludedPartsOfSpeech };
 }
 
 /**
- * Read the dictionary as a JSON file, if available.
- * If the JSON file is not present, create it from the XML file,
- * then write it to disk.
- * When updating eldamo, simply delete the JSON file, and run once
+ * Return the filters of the entries picked at random: their `languages`,
+ * parts of speech, and whether they must have a gloss (`glossed`)
  */
-function loadDictionary() {
-  let result = undefined;
-  try {
-    console.time("Load dictionary");
-    try {
-      // Read saved JSON  file
-      result = JSON.parse(
-        fs.readFileSync(__dirname + "/eldamo-data.json", {
-          encoding: "utf8",
-        })
-      );
-    } catch (err) {
-      // Read and  compile XML file
-      const data = fs.readFileSync(__dirname + "/eldamo-data.xml", {
-        encoding: "utf8",
-      });
-
-      result = compileDictionaryRecursive(new xmlDoc(data));
-
-      // Save JSON file
-      fs.writeFile(
-        __dirname + "/eldamo-data.json",
-        JSON.stringify(result),
-        {
-          encoding: "utf8",
-        },
-        (status) => {
-          if (status) console.log("Error writing dictionary", status);
-        }
-      );
-    }
+function parseEntryFilters(query) {
+  return {
+    languages: parseLanguageFilter(query.lang),
+    ...parsePartOfSpeechOptions(query),
+    glossed: parseBooleanParameter(query, "glossed", false),
+  };
+}
 
-    // Update short definitions
-    for (const entry of result) {
-      if (entry.gloss && entry.gloss !== "[unglossed]") {
-        if (!gShortDefinitions.has(entry.v)) {
-          gShortDefinitions.set(entry.v, entry.gloss);
-        } else {
-          const def = gShortDefinitions.get(entry.v);
-          if (def !== entry.gloss) {
-            gShortDefinitions.set(entry.v, def + " / " + entry.gloss);
-          }
-        }
-      }
-    }
+/**
+ * Return the entries that match the filters (see `parseEntryFilters()`)
+ */
+function filterEntries(filters) {
+  return gEldamoDictionary.filter(
+    (entry) =>
+      (!filters.languages || filters.languages.has(entry.language)) &&
+      matchPartOfSpeech(
+        entry,
+        filters.partsOfSpeech,
+        filters.excludedPartsOfSpeech
+      ) &&
+      (!filters.glossed || isGlossed(entry))
+  );
+}
 
-    console.timeEnd("Load dictionary");
+/**
+ * Return true if the entry has a gloss
+ */
+function isGlossed(entry) {
+  return Boolean(entry.gloss) && entry.gloss !== "[unglossed]";
+}
 
-    console.log("Ready");
-  } catch (err) {
-    console.error("Error loading dictionary", err);
-  }
-  return result;
+/**
+ * Return the date of a query parameter (as "YYYY-MM-DD"), or the current
+ * date (in UTC) if it is not specified
+ */
+function parseDate(value) {
+  if (value === undefined) return new Date().toISOString().substring(0, 10);
+  const date = String(value);
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+    isNaN(Date.parse(date)) ||
+    new Date(date).toISOString().substring(0, 10) !== date
+  )
+    throw new QueryError(`Invalid date "${date}". Use "YYYY-MM-DD".`);
+  return date;
+}
+
+/**
+ * Return the word of the day: a glossed entry matching the filters, picked
+ * from a hash of the date and of the filters, so that it is the same on
+ * every instance of the server for the same dictionary
+ */
+function wordOfTheDay(date, filters) {
+  filters = { ...filters, glossed: true };
+  const entries = filterEntries(filters);
+  if (entries.length === 0) return undefined;
+
+  // The filters are serialized as for the cache
+  const hash = crypto
+    .createHash("sha1")
+    .update(ringKey(date, filters))
+    .digest();
+  return entries[hash.readUInt32BE(0) % entries.length];
+}
+
+/**
+ * Return the value of a boolean parameter ("true" or "false"), or
+ * `defaultValue` if it is not specified
+ */
+function parseBooleanParameter(query, name, defaultValue) {
+  if (query[name] === undefined) return defaultValue;
+  const value = String(query[name]);
+  if (value !== "true" && value !== "false")
+    throw new QueryError(`Invalid ${name} "${value}". Use "true" or "false".`);
+  return value === "true";
+}
+
+/**
+ * Return the language and mode of a transcription
+ */
+function parseTranscriptionMode(params) {
+  const language = params.lang ?? "quenya";
+  if (!Object.keys(MODES).includes(language)) {
+    throw new QueryError(
+      `Invalid language "${language}". Use ${Object.keys(MODES)
+        .map((x) => `"${x}"`)
+        .join(" or ")}.`
+    );
+  }
+  const modes = Object.keys(MODES[language]);
+  const mode = params.mode ?? modes[0];
+  if (!modes.includes(mode)) {
+    throw new QueryError(
+      `Invalid mode "${mode}" for ${language}. Use ${modes
+        .map((x) => `"${x}"`)
+        .join(" or ")}.`
+    );
+  }
+  return { language, mode };
+}
+
+/**
+ * Throw a QueryError if there are too many tokens to process in a request
+ */
+function checkTokenCount(tokens) {
+  if (tokens.length > BATCH_MAX_TOKENS) {
+    throw new QueryError(
+      `Too many words (${tokens.length}). The maximum is ${BATCH_MAX_TOKENS}.`
+    );
+  }
+}
+
+/**
+ * Return the spelling of a word according to the tengwar hint of the
+ * dictionary entry it is the lemma of, in a language group, if any (i.e.
+ * "Noldo" is spelled "Ñoldo"). The words that are not lemmas are analyzed,
+ * and the hint of the lemma they are a suffixed form of is applied (i.e.
+ * "Noldor" is spelled "Ñoldor"). The `entry` whose hint was applied, the
+ * `analysis` of the word if any, and the `corrections` are included.
+ */
+function applySpellingHints(word, language) {
+  const orthography = orthographyOf(LANGUAGE_GROUPS[language][0]);
+  const term = canonicalize(foldQuery(word), orthography);
+  const candidates = [...gLemmaIndex.entriesWithTerm(term)].map((i) => [i]);
+  for (const [i, analysis] of matchAnalyses(foldQuery(word))) {
+    // The hints of a lemma only apply to the forms that begin with it
+    const lemma = gEldamoDictionary[i].lemmaIndex[0] ?? "";
+    if (term.startsWith(lemma.replace(/-$/, "")))
+      candidates.push([i, analysis]);
+  }
+
+  for (const [i, analysis] of candidates) {
+    const entry = gEldamoDictionary[i];
+    if (
+      !entry.tengwar ||
+      entry.lemmaIndex.length !== 1 ||
+      !LANGUAGE_GROUPS[language].includes(entry.language)
+    )
+      continue;
+    const result = applyTengwarHint(word, entry.tengwar);
+    if (result.corrections.length > 0 && result.unapplied.length === 0) {
+      return {
+        spelling: result.v,
+        entry: entry.id,
+        analysis,
+        corrections: result.corrections,
+      };
+    }
+  }
+  return { spelling: word };
+}
+
+/**
+ * Transcribe a text in tengwar, in a language and mode. The spelling hints
+ * of the dictionary are applied to the words that are lemmas of an entry.
+ */
+function transcribe(text, language, mode) {
+  const tokens = tokenize(text);
+  checkTokenCount(tokens);
+
+  // The text, as an array of spaces and of columns of tengwar
+  const parts = [];
+  const addGap = (gap) => {
+    for (const c of gap) {
+      if (/\s/.test(c)) {
+        if (parts.length > 0 && parts[parts.length - 1] !== " ")
+          parts.push(" ");
+      } else {
+        parts.push(transcribePunctuation(c));
+      }
+    }
+  };
+
+  const words = [];
+  let end = 0;
+  for (const token of tokens) {
+    addGap(text.substring(end, token.start));
+    end = token.end;
+
+    const hints = applySpellingHints(token.token, language);
+    const columns = transcribeWord(hints.spelling, MODES[language][mode]);
+    parts.push(columns);
+    words.push({
+      ...token,
+      ...hints,
+      tengwar: encodeCsur(columns),
+      glyphs: columns,
+    });
+  }
+  addGap(text.substring(end));
+
+  const encode = (encodeColumns) =>
+    parts
+      .map((part) => (part === " " ? " " : encodeColumns(part)))
+      .join("")
+      .trim();
+
+  return {
+    language,
+    mode,
+    tengwar: encode(encodeCsur),
+    fonts: {
+      "dan-smith": { fonts: DAN_SMITH_FONTS, text: encode(encodeDanSmith) },
+    },
+    words,
+  };
+}
+
+/**
+ * Handle a transcription request. The parameters can be in the body
+ * (POST) or in the query string (GET).
+ */
+function transcribeText(req, res) {
+  allowCrossOrigin(res, "GET, POST");
+
+  const params = { ...req.query, ...(req.body ?? {}) };
+
+  let result;
+  try {
+    if (typeof params.text !== "string")
+      throw new QueryError('Specify the "text" to transcribe');
+    const { language, mode } = parseTranscriptionMode(params);
+    result = transcribe(params.text, language, mode);
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  res.json(result);
+}
+
+/**
+ * Check the spelling of the words of a text against the tengwar hints of
+ * the dictionary, in a language and mode. A word is reported if the hint of
+ * its entry requires different tengwar than its transcription as it is
+ * spelled (i.e. "Noldo" is written with noldo rather than númen, as
+ * "Ñoldo"). Return the text with the `suggestion`s applied, and the
+ * `issues`, each with the `token`, its `start` and `end` position, the
+ * suggested `spelling`, the `entry` and the lemma (`v`) the hint comes from,
+ * the `analysis` of the word if it is an inflected form, the `corrections`,
+ * and the `tengwar` (CSUR) of the word as spelled and as `suggested`.
+ */
+function spellCheck(text, language, mode) {
+  const tokens = tokenize(text);
+  checkTokenCount(tokens);
+
+  const issues = [];
+  let suggestion = "";
+  let end = 0;
+  for (const token of tokens) {
+    const hints = applySpellingHints(token.token, language);
+    suggestion += text.substring(end, token.start) + hints.spelling;
+    end = token.end;
+    if (!hints.entry) continue;
+
+    const tengwar = encodeCsur(
+      transcribeWord(token.token, MODES[language][mode])
+    );
+    const suggested = encodeCsur(
+      transcribeWord(hints.spelling, MODES[language][mode])
+    );
+    if (tengwar === suggested) continue;
+
+    issues.push({
+      ...token,
+      spelling: hints.spelling,
+      entry: hints.entry,
+      v: gEntriesById.get(hints.entry).v,
+      analysis: hints.analysis,
+      corrections: hints.corrections,
+      tengwar: { spelled: tengwar, suggested },
+    });
+  }
+  suggestion += text.substring(end);
+
+  return { language, mode, suggestion, issues };
+}
+
+/**
+ * Handle a spelling check request. The parameters can be in the body
+ * (POST) or in the query string (GET).
+ */
+function checkSpelling(req, res) {
+  allowCrossOrigin(res, "GET, POST");
+
+  const params = { ...req.query, ...(req.body ?? {}) };
+
+  let result;
+  try {
+    if (typeof params.text !== "string")
+      throw new QueryError('Specify the "text" to check');
+    const { language, mode } = parseTranscriptionMode(params);
+    result = spellCheck(params.text, language, mode);
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  res.json(result);
+}
+
+/**
+ * Return the options of a query in tengwar: the `encoding` of the tengwar
+ * (undefined to detect CSUR), and the transcription `modes` the tengwar are
+ * read in, as an array of { language, mode }. The `tengwar-mode` parameter
+ * is a comma separated list of languages (all their modes) or of languages
+ * and modes (i.e. "quenya-classical"); all the modes by default.
+ */
+function parseTengwarInput(params) {
+  const encoding = params.tengwar;
+  if (encoding !== undefined && !TENGWAR_ENCODINGS.includes(encoding)) {
+    throw new QueryError(
+      `Invalid tengwar encoding "${encoding}". Use ${TENGWAR_ENCODINGS.map(
+        (x) => `"${x}"`
+      ).join(" or ")}.`
+    );
+  }
+
+  const all = Object.entries(MODES).flatMap(([language, modes]) =>
+    Object.keys(modes).map((mode) => ({ language, mode }))
+  );
+  if (params["tengwar-mode"] === undefined) return { encoding, modes: all };
+
+  const modes = [];
+  for (const item of String(params["tengwar-mode"]).split(",")) {
+    const name = item.trim().toLowerCase();
+    const matching = all.filter(
+      (x) => x.language === name || `${x.language}-${x.mode}` === name
+    );
+    if (matching.length === 0) {
+      throw new QueryError(
+        `Invalid tengwar mode "${name}". Use ${all
+          .flatMap((x) => [x.language, `${x.language}-${x.mode}`])
+          .filter((x, i, list) => list.indexOf(x) === i)
+          .map((x) => `"${x}"`)
+          .join(", ")}.`
+      );
+    }
+    for (const mode of matching) if (!modes.includes(mode)) modes.push(mode);
+  }
+  return { encoding, modes };
+}
+
+/**
+ * Return the encoding of a query in tengwar ("csur" or "dan-smith"), or
+ * undefined if it is in Latin letters. The queries in CSUR are detected,
+ * the Dan Smith encoding (that uses ascii characters) must be requested.
+ */
+function tengwarEncoding(q, tengwar) {
+  return tengwar.encoding ?? (isCsurTengwar(q) ? "csur" : undefined);
+}
+
+/**
+ * Return the entries matching a query in tengwar. The query is read in
+ * each of the modes (see `parseTengwarInput()`), and its readings in Latin
+ * letters are looked up as lemmas in the languages of the mode. Each entry
+ * includes the `reading` it was found by: its `text`, `language` and
+ * `mode`.
+ */
+function lookupTengwar(q, encoding, modes, options) {
+  const results = new Map();
+  for (const { language, mode } of modes) {
+    const languages = LANGUAGE_GROUPS[language].filter(
+      (x) => !options.languages || options.languages.has(x)
+    );
+    if (languages.length === 0) continue;
+
+    const searchOptions = {
+      ...options,
+      languages: new Set(languages),
+      direction: "lemma",
+    };
+    for (const text of readTengwarText(q, encoding, MODES[language][mode])) {
+      for (const entry of lookup(foldQuery(text), searchOptions)) {
+        const previous = results.get(entry.id);
+        if (previous && previous.score >= entry.score) continue;
+        results.set(entry.id, { ...entry, reading: { text, language, mode } });
+      }
+    }
+  }
+  return [...results.values()].sort(compareResults);
+}
+
+/**
+ * Return the readings in Latin letters of a text in tengwar, in a mode.
+ * The words of the text are separated with spaces.
+ */
+function readTengwarText(q, encoding, mode) {
+  let result = [""];
+  for (const word of q.split(/\s+/)) {
+    const readings = readTengwar(decodeTengwar(word, encoding), mode);
+    if (readings.length === 0) continue;
+    result = result
+      .flatMap((prefix) =>
+        readings.map((reading) => (prefix ? `${prefix} ${reading}` : reading))
+      )
+      .slice(0, TENGWAR_MAX_READINGS);
+  }
+  return result.filter((x) => x);
+}
+
+/**
+ * Return the options of the presentation of the entries: whether to
+ * include their `citations`, and the format of their `notes`
+ */
+function parseOutputOptions(query) {
+  const notes = query.notes ?? "text";
+  if (!NOTES_FORMATS.includes(notes)) {
+    throw new QueryError(
+      `Invalid notes format "${notes}". Use ${NOTES_FORMATS.map(
+        (x) => `"${x}"`
+      ).join(", ")}.`
+    );
+  }
+  return { citations: parseBooleanParameter(query, "citations", true), notes };
+}
+
+/**
+ * Return the entries (as returned by `formatEntry()`) with their notes
+ * rendered, and without their citations if they are not requested
+ */
+function formatOutput(entries, output) {
+  return entries.map(({ citations, notes, ...fields }) => ({
+    ...fields,
+    notes: renderNotes(notes, output.notes, resolveWord),
+    citations: output.citations ? citations : undefined,
+  }));
+}
+
+/**
+ * Return the id of the entry a word reference (in notes) refers to, if it
+ * refers to a single entry
+ */
+function resolveWord(word) {
+  const entries = resolveElement(word.v, word.language);
+  return entries.length === 1 ? entries[0].id : undefined;
+}
+
+/**
+ * Split a text into tokens (words, possibly including hyphens and
+ * apostrophes, i.e. "i-dhuin", or words in tengwar as CSUR code points),
+ * with their position in the text. With `encoding` "dan-smith", the text is
+ * in tengwar encoded as ascii characters, and is split on spaces.
+ */
+function tokenize(text, encoding) {
+  const pattern =
+    encoding === "dan-smith"
+      ? /\S+/g
+      : /[\p{L}\p{M}\p{N}\u{e000}-\u{e07f}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu;
+  const result = [];
+  for (const m of text.matchAll(pattern)) {
+    result.push({ token: m[0], start: m.index, end: m.index + m[0].length });
+  }
+  return result;
+}
+
+/**
+ * Read the tokens of a batch lookup from the `words` (an array of words, or
+ * a comma separated list) or `text` (a text to tokenize) parameter.
+ * Throw a QueryError if neither is valid.
+ */
+function parseBatchTokens(params, tengwar) {
+  let tokens;
+  if (params.words !== undefined) {
+    const words = Array.isArray(params.words)
+      ? params.words
+      : String(params.words).split(",");
+    tokens = words.map((word, index) => ({
+      token: String(word).trim(),
+      index,
+    }));
+  } else if (typeof params.text === "string") {
+    tokens = tokenize(params.text, tengwar.encoding).map((token, index) => ({
+      ...token,
+      index,
+    }));
+  } else {
+    throw new QueryError('Specify the "words" or the "text" to look up');
+  }
+
+  checkTokenCount(tokens);
+  return tokens;
+}
+
+/**
+ * Look up all the tokens of a batch request, computing the results of
+ * each distinct query only once
+ */
+function batchLookup(req, res) {
+  allowCrossOrigin(res, "GET, POST");
+
+  // The parameters can be in the body (POST) or in the query string (GET)
+  const params = { ...req.query, ...(req.body ?? {}) };
+
+  let options;
+  let tokens;
+  let pagination;
+  let output;
+  let tengwar;
+  try {
+    options = parseSearchOptions(params);
+    pagination = parsePagination(params) ?? { offset: 0, limit: BATCH_LIMIT };
+    tengwar = parseTengwarInput(params);
+    tokens = parseBatchTokens(params, tengwar);
+    output = parseOutputOptions(params);
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  const { offset, limit } = pagination;
+  // The results by query, without a prototype since the queries come from
+  // the user (i.e. "constructor" or "__proto__"). The queries are not
+  // looked up through the ring: a single batch could evict all its results.
+  const results = Object.create(null);
+  for (const token of tokens) {
+    // The words in tengwar are looked up as they are
+    const encoding = tengwarEncoding(token.token, tengwar);
+    token.query = encoding ? token.token : foldQuery(token.token);
+    if (!results[token.query]) {
+      const r = encoding
+        ? lookupTengwar(token.query, encoding, tengwar.modes, options)
+        : lookup(token.query, options);
+      results[token.query] = {
+        total: r.length,
+        entries: formatOutput(r.slice(offset, offset + limit), output),
+      };
+    }
+  }
+
+  res.json({ offset, limit, tokens, results });
+}
+
+/**
+ * Send an error response for an invalid request. Any other error is
+ * rethrown, to be handled by express.
+ */
+function sendError(res, err) {
+  if (!(err instanceof QueryError)) throw err;
+  res.status(err.status).json({ error: err.message, ...err.details });
+}
+
+// Startup the app
+app.set("port", process.env.PORT ?? 39999);
+
+// Search route
+app.get("/define/:word", (req, res) => {
+  allowCrossOrigin(res);
+
+  let options;
+  let pagination;
+  let output;
+  let tengwar;
+  try {
+    options = parseSearchOptions(req.query);
+    pagination = parsePagination(req.query);
+    output = parseOutputOptions(req.query);
+    tengwar = parseTengwarInput(req.query);
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  const r = define(req.params.word, options, pagination, output, tengwar);
+
+  res.header("X-Total-Count", String(r.total));
+  res.header("Access-Control-Expose-Headers", "X-Total-Count");
+  res.type("json").send(r.json);
+});
+
+// Batch search route
+app.get("/batch", batchLookup);
+app.post("/batch", express.json(), batchLookup);
+app.options("/batch", (_req, res) => {
+  allowCrossOrigin(res, "GET, POST");
+  res.sendStatus(204);
+});
+
+// Transcription route
+app.get("/transcribe", transcribeText);
+app.post("/transcribe", express.json(), transcribeText);
+app.options("/transcribe", (_req, res) => {
+  allowCrossOrigin(res, "GET, POST");
+  res.sendStatus(204);
+});
+
+// Spelling check route
+app.get("/spell-check", checkSpelling);
+app.post("/spell-check", express.json(), checkSpelling);
+app.options("/spell-check", (_req, res) => {
+  allowCrossOrigin(res, "GET, POST");
+  res.sendStatus(204);
+});
+
+// Suggestion route
+app.get("/suggest/:prefix", (req, res) => {
+  allowCrossOrigin(res);
+
+  let languages;
+  let limit;
+  try {
+    languages = parseLanguageFilter(req.query.lang);
+    limit = parseIntegerParameter(
+      req.query,
+      "limit",
+      SUGGEST_LIMIT,
+      1,
+      SUGGEST_MAX_LIMIT
+    );
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  res.json(suggest(foldQuery(req.params.prefix), limit, languages));
+});
+
+// Derivatives route
+app.get("/derivatives/:word", (req, res) => {
+  allowCrossOrigin(res);
+
+  let languages;
+  let output;
+  try {
+    languages = parseLanguageFilter(req.query.lang);
+    output = parseOutputOptions(req.query);
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  res.json(findDerivatives(req.params.word, languages, output));
+});
+
+// Etymology route
+app.get("/etymology/:id", (req, res) => {
+  allowCrossOrigin(res);
+
+  let depth;
+  try {
+    depth = parseIntegerParameter(
+      req.query,
+      "depth",
+      ETYMOLOGY_DEPTH,
+      1,
+      ETYMOLOGY_MAX_DEPTH
+    );
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  const entry = gEntriesById.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: `Unknown entry "${req.params.id}"` });
+  }
+
+  res.json(buildEtymology(entry, depth));
+});
+
+// Inflections route
+app.get("/inflections/:id", (req, res) => {
+  allowCrossOrigin(res);
+
+  const entry = gEntriesById.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: `Unknown entry "${req.params.id}"` });
+  }
+
+  res.json(findInflections(entry));
+});
+
+// Random entry route
+app.get("/random", (req, res) => {
+  allowCrossOrigin(res);
+
+  let filters;
+  let output;
+  try {
+    filters = parseEntryFilters(req.query);
+    output = parseOutputOptions(req.query);
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  const entries = filterEntries(filters);
+  if (entries.length === 0)
+    return res.status(404).json({ error: "No entry matches the filters" });
+
+  const entry = entries[Math.floor(Math.random() * entries.length)];
+  res.json(formatOutput([formatEntry(entry)], output)[0]);
+});
+
+// Word of the day route
+app.get("/word-of-the-day", (req, res) => {
+  allowCrossOrigin(res);
+
+  let date;
+  let filters;
+  let output;
+  try {
+    date = parseDate(req.query.date);
+    filters = parseEntryFilters(req.query);
+    output = parseOutputOptions(req.query);
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  const entry = wordOfTheDay(date, filters);
+  if (!entry)
+    return res.status(404).json({ error: "No entry matches the filters" });
+
+  res.json({ date, entry: formatOutput([formatEntry(entry)], output)[0] });
+});
+
+// Entry route
+app.get("/entry/:id", (req, res) => {
+  allowCrossOrigin(res);
+
+  let output;
+  try {
+    output = parseOutputOptions(req.query);
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  const entry = gEntriesById.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: `Unknown entry "${req.params.id}"` });
+  }
+
+  res.json(formatOutput([formatEntry(entry)], output)[0]);
+});
+
+app.use((_req, res, _next) => {
+  res
+    .status(404)
+    .send(
+      "Unknown route. Use /define/:word, /batch, /transcribe, /spell-check, " +
+        "/suggest/:prefix, /derivatives/:word, /etymology/:id, " +
+        "/inflections/:id, /random, /word-of-the-day or /entry/:id"
+    );
+});
+
+app.listen(app.get("port"), () => {
+  if (isDevelopment())
+    console.log(
+      "Listening at",
+      `http://${os.hostname()}:${app.get("port")}/define/`
+    );
+});
+
+// Reload the dictionary when the eldamo XML file changes, or on SIGHUP
+fs.watchFile(
+  XML_PATH,
+  { interval: DICTIONARY_WATCH_INTERVAL },
+  (current, previous) => {
+    if (
+      current.mtimeMs > 0 &&
+      (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size)
+    )
+      reloadWhenStable(current);
+  }
+);
+process.on("SIGHUP", () => reloadDictionary("SIGHUP"));
+
+/**
+ * Build an inverted index used to find the entries matching a query,
+ * from the terms in the `key` property of the entries. If a `normalize`
+ * function is provided, the terms are also indexed by their normalized form.
+ */
+function buildSearchIndex(dictionary, key, normalize) {
+  console.time(`Build ${key}`);
+  const result = new SearchIndex(
+    dictionary.map((entry) => entry[key]),
+    normalize
+  );
+  console.timeEnd(`Build ${key}`);
+  return result;
+}
+
+/**
+ * Build the reverse index of the elements: for each element key, the
+ * entries (as numbers) whose elements include it
+ */
+function buildDerivativesIndex(dictionary) {
+  const result = new Map();
+  dictionary.forEach((entry, i) => {
+    for (const key of new Set(entry.elements.map((x) => elementKey(x.v)))) {
+      if (!key) continue;
+      if (!result.has(key)) result.set(key, []);
+      result.get(key).push(i);
+    }
+  });
+  return result;
+}
+
+/**
+ * Build the map of the entries (as numbers) by lemma key, in the
+ * orthography of their language
+ */
+function buildLemmaMap(dictionary) {
+  const result = new Map();
+  dictionary.forEach((entry, i) => {
+    if (!entry.v) return;
+    const key = lemmaKey(entry.v, orthographyOf(entry.language));
+    if (!result.has(key)) result.set(key, []);
+    result.get(key).push(i);
+  });
+  return result;
+}
+
+/**
+ * Build the index of the completions of the lemmas and of the glosses.
+ * The lemmas are completed from their canonical spelling, the glosses from
+ * each of their comma separated parts, with or without a leading "to", "a"
+ * or "the" (i.e. "to sing" is a completion of "sing"). The entries that
+ * /define leaves out by default (i.e. suffixes) are not suggested.
+ */
+function buildSuggestIndex(dictionary) {
+  console.time("Build suggestions");
+  const items = [];
+  for (const entry of dictionary) {
+    if (!matchPartOfSpeech(entry)) continue;
+    const language = entry.language;
+    items.push({
+      key: entry.lemmaIndex.join(" "),
+      text: entry.v,
+      kind: "lemma",
+      language,
+    });
+
+    if (!entry.gloss || entry.gloss === "[unglossed]") continue;
+    for (let text of entry.gloss.split(/[,;]/)) {
+      text = text.trim();
+      const key = asciiFolder.fold(text).toLowerCase();
+      items.push({ key, text, kind: "gloss", language });
+      const m = key.match(/^(?:to|an?|the) (.+)$/);
+      if (m) items.push({ key: m[1], text, kind: "gloss", language });
+    }
+  }
+  const result = new SuggestIndex(items);
+  console.timeEnd("Build suggestions");
+  return result;
+}
+
+/**
+ * Read the dictionary (see `readDictionary()`), or return undefined if it
+ * cannot be read
+ */
+function loadDictionary() {
+  let result = undefined;
+  try {
+    console.time("Load dictionary");
+    result = readDictionary();
+    console.timeEnd("Load dictionary");
+
+    console.log("Ready");
+  } catch (err) {
+    console.error("Error loading dictionary, starting without entries", err);
+  }
+  return result;
+}
+
+/**
+ * Build the indexes of a dictionary, then make it the current dictionary.
+ * Everything is built before any global is replaced, and the routes are
+ * synchronous: a request is answered entirely from either the previous or
+ * the new dictionary.
+ */
+function installDictionary(dictionary) {
+  const shortDefinitions = buildShortDefinitions(dictionary);
+  const entriesById = new Map(dictionary.map((entry) => [entry.id, entry]));
+  const lemmaIndex = buildSearchIndex(dictionary, "lemmaIndex");
+  const glossIndex = buildSearchIndex(
+    dictionary,
+    "glossIndex",
+    normalizeEnglish
+  );
+  const derivatives = buildDerivativesIndex(dictionary);
+  const entriesByLemma = buildLemmaMap(dictionary);
+  const suggestIndex = buildSuggestIndex(dictionary);
+  const orthographyLanguages = new Map(
+    ORTHOGRAPHIES.map((orthography) => [
+      orthography,
+      new Set(
+        dictionary
+          .map((entry) => entry.language)
+          .filter((language) => orthographyOf(language) === orthography)
+      ),
+    ])
+  );
+  const allPartsOfSpeech = new Set([
+    ...DEFAULT_EXCLUDED_POS,
+    ...dictionary.flatMap((entry) => partsOfSpeech(entry)),
+  ]);
+
+  gEldamoDictionary = dictionary;
+  gShortDefinitions = shortDefinitions;
+  gEntriesById = entriesById;
+  gLemmaIndex = lemmaIndex;
+  gGlossIndex = glossIndex;
+  gDerivatives = derivatives;
+  gEntriesByLemma = entriesByLemma;
+  gSuggestIndex = suggestIndex;
+  gOrthographyLanguages = orthographyLanguages;
+  gPartsOfSpeech = allPartsOfSpeech;
+}
+
+/**
+ * Build the map of the glosses of each lemma. The glosses of the entries
+ * with the same lemma are joined with a slash.
+ */
+function buildShortDefinitions(dictionary) {
+  const result = new Map();
+  for (const entry of dictionary) {
+    if (entry.gloss && entry.gloss !== "[unglossed]") {
+      if (!result.has(entry.v)) {
+        result.set(entry.v, entry.gloss);
+      } else {
+        const def = result.get(entry.v);
+        if (def !== entry.gloss) {
+          result.set(entry.v, def + " / " + entry.gloss);
+        }
+      }
+    }
+  }
+  return result;
+}
+
+// True while the dictionary is being reloaded, and if another reload was
+// requested meanwhile
+let gReloading = false;
+let gReloadPending = false;
+
+// The pending check that the eldamo XML file stopped changing
+let gWatchTimeout;
+
+/**
+ * Reload the dictionary once the eldamo XML file (with the `stats` it had
+ * when it last changed) has kept the same size and modification time for
+ * DICTIONARY_WATCH_INTERVAL, so that a file still being copied is not read
+ */
+function reloadWhenStable(stats) {
+  clearTimeout(gWatchTimeout);
+  gWatchTimeout = setTimeout(() => {
+    fs.stat(XML_PATH, (err, current) => {
+      if (err) {
+        console.error("Error checking eldamo-data.xml", err);
+      } else if (
+        current.mtimeMs !== stats.mtimeMs ||
+        current.size !== stats.size
+      ) {
+        reloadWhenStable(current);
+      } else {
+        reloadDictionary("eldamo-data.xml changed");
+      }
+    });
+  }, DICTIONARY_WATCH_INTERVAL);
+}
+
+/**
+ * Recompile the dictionary from the eldamo XML file, in a worker thread so
+ * that the requests are still answered meanwhile, then make it the current
+ * dictionary and clear the ring. If the dictionary cannot be compiled, the
+ * current one is kept.
+ *
+ * The worker saves the compiled dictionary as the JSON file, which is read
+ * once the worker has exited, so that only one dictionary is being built
+ * at a time besides the current one.
+ */
+function reloadDictionary(reason) {
+  if (gReloading) {
+    gReloadPending = true;
+    return;
+  }
+  gReloading = true;
+  console.log(`Reload dictionary (${reason})`);
+  console.time("Reload dictionary");
+
+  let compiled = false;
+  const worker = new Worker(__dirname + "/dictionary-worker.js");
+  worker.on("message", () => {
+    compiled = true;
+  });
+  worker.on("error", (err) => {
+    console.error("Error reloading dictionary, keeping the previous one", err);
+  });
+  worker.on("exit", () => {
+    if (compiled) {
+      try {
+        installDictionary(readDictionary());
+        clearRing();
+        console.log("Dictionary reloaded");
+      } catch (err) {
+        console.error(
+          "Error installing dictionary, keeping the previous one",
+          err
+        );
+      }
+    }
+    console.timeEnd("Reload dictionary");
+    gReloading = false;
+    if (gReloadPending) {
+      gReloadPending = false;
+      reloadDictionary("requested during the previous reload");
+    }
+  });
 }
 
 function isDevelopment() {
@@ -0,0 +1,121 @@
+"use strict";
+
+const { QueryError } = require("./errors");
+
+// The language codes used by eldamo (the `l` attribute of a word)
+const LANGUAGES = {
+  ad: "Adûnaic",
+  av: "Avarin",
+  bs: "Black Speech",
+  dan: "Danian",
+  dor: "Doriathrin",
+  eilk: "Early Ilkorin",
+  en: "Early Noldorin",
+  ep: "Early Primitive Elvish",
+  eq: "Early Quenya",
+  et: "Early Telerin",
+  g: "Gnomish",
+  ilk: "Ilkorin",
+  kh: "Khuzdul",
+  lem: "Lemberin",
+  mp: "Middle Primitive Elvish",
+  mq: "Middle Quenya",
+  mt: "Middle Telerin",
+  n: "Noldorin",
+  nan: "Nandorin",
+  np: "Neo-Primitive Elvish",
+  nq: "Neo-Quenya",
+  ns: "Neo-Sindarin",
+  on: "Old Noldorin",
+  os: "Old Sindarin",
+  oss: "Ossriandric",
+  p: "Primitive Elvish",
+  q: "Quenya",
+  roh: "Rohirric",
+  s: "Sindarin",
+  t: "Telerin",
+  tal: "Taliska",
+  val: "Valarin",
+  wes: "Westron",
+};
+
+// Named groups of languages, which can be used in place of a language code
+// in a language filter
+const LANGUAGE_GROUPS = {
+  quenya: ["q", "nq", "mq", "eq"],
+  sindarin: ["s", "ns", "n", "on", "en", "os", "g"],
+  telerin: ["t", "mt", "et"],
+  primitive: ["p", "np", "mp", "ep"],
+  neo: ["nq", "ns", "np"],
+  elvish: [
+    "av",
+    "dan",
+    "dor",
+    "eilk",
+    "en",
+    "ep",
+    "eq",
+    "et",
+    "g",
+    "ilk",
+    "lem",
+    "mp",
+    "mq",
+    "mt",
+    "n",
+    "nan",
+    "np",
+    "nq",
+    "ns",
+    "on",
+    "os",
+    "oss",
+    "p",
+    "q",
+    "s",
+    "t",
+  ],
+  mannish: ["ad", "roh", "tal", "wes"],
+};
+
+/**
+ * Turn the value of a `lang` query parameter into a set of language codes.
+ * The value is a comma separated list of language codes and group names,
+ * or an array of them (when the parameter is repeated).
+ * Return undefined if there is no filter.
+ * Throw a QueryError if an unknown code is encountered.
+ */
+function parseLanguageFilter(value) {
+  if (value === undefined) return undefined;
+
+  const items = (Array.isArray(value) ? value : [value])
+    .flatMap((x) => String(x).split(","))
+    .map((x) => x.trim().toLowerCase())
+    .filter((x) => x);
+  if (items.length === 0) return undefined;
+
+  const result = new Set();
+  const unknown = [];
+  // Only the own properties are codes (not "constructor" or "__proto__")
+  const codes = Object.keys(LANGUAGES);
+  const groups = Object.keys(LANGUAGE_GROUPS);
+  for (const item of items) {
+    if (codes.includes(item)) result.add(item);
+    else if (groups.includes(item))
+      for (const code of LANGUAGE_GROUPS[item]) result.add(code);
+    else unknown.push(item);
+  }
+
+  if (unknown.length > 0) {
+    throw new QueryError(
+      `Unknown language ${unknown.map((x) => `"${x}"`).join(", ")}. ` +
+        `Valid languages are: ${Object.keys(LANGUAGES).join(", ")}. ` +
+        `Valid groups are: ${Object.keys(LANGUAGE_GROUPS).join(", ")}.`,
+      { languages: LANGUAGES, groups: LANGUAGE_GROUPS }
+    );
+  }
+
+  return result;
+}
+
+module.exports = { LANGUAGES, LANGUAGE_GROUPS, parseLanguageFilter };
@@ -0,0 +1,405 @@
+"use strict";
+
+// Quenya possessive pronominal suffixes
+const QUENYA_POSSESSIVES = {
+  nya: "my",
+  lya: "your",
+  tya: "your (familiar)",
+  rya: "his/her",
+  lma: "our (inclusive)",
+  lva: "our (inclusive)",
+  mma: "our (dual)",
+  lda: "your (plural)",
+  nta: "their",
+};
+
+// Quenya case and number endings (ascii folded). `restore` lists the
+// endings that may have been replaced by the suffix, i.e. the final "e" of
+// "lasse" in "lassi", or the final "a" of "alda" in "aldo".
+const QUENYA_ENDINGS = [
+  // Plural and dual
+  { suffix: "i", tags: ["plural"], restore: ["", "e"] },
+  { suffix: "r", tags: ["plural"] },
+  { suffix: "li", tags: ["partitive plural"] },
+  { suffix: "t", tags: ["dual"] },
+  // Genitive
+  { suffix: "o", tags: ["genitive"], restore: ["", "a", "e"] },
+  { suffix: "ion", tags: ["genitive", "plural"], restore: ["", "e"] },
+  { suffix: "ron", tags: ["genitive", "plural"] },
+  // Possessive
+  { suffix: "va", tags: ["possessive"] },
+  { suffix: "wa", tags: ["possessive"] },
+  { suffix: "iva", tags: ["possessive", "plural"], restore: ["", "e"] },
+  // Dative
+  { suffix: "n", tags: ["dative"] },
+  { suffix: "in", tags: ["dative", "plural"], restore: ["", "e"] },
+  { suffix: "nt", tags: ["dative", "dual"] },
+  // Ablative
+  { suffix: "llo", tags: ["ablative"] },
+  { suffix: "ello", tags: ["ablative"] },
+  { suffix: "llon", tags: ["ablative", "plural"] },
+  { suffix: "llor", tags: ["ablative", "plural"] },
+  { suffix: "illon", tags: ["ablative", "plural"], restore: ["", "e"] },
+  // Allative
+  { suffix: "nna", tags: ["allative"] },
+  { suffix: "enna", tags: ["allative"] },
+  { suffix: "nnar", tags: ["allative", "plural"] },
+  { suffix: "innar", tags: ["allative", "plural"], restore: ["", "e"] },
+  // Locative
+  { suffix: "sse", tags: ["locative"] },
+  { suffix: "esse", tags: ["locative"] },
+  { suffix: "ssen", tags: ["locative", "plural"] },
+  { suffix: "sser", tags: ["locative", "plural"] },
+  { suffix: "issen", tags: ["locative", "plural"], restore: ["", "e"] },
+  // Instrumental
+  { suffix: "nen", tags: ["instrumental"] },
+  { suffix: "enen", tags: ["instrumental"] },
+  { suffix: "inen", tags: ["instrumental", "plural"], restore: ["", "e"] },
+  // Respective
+  { suffix: "s", tags: ["respective"] },
+  { suffix: "is", tags: ["respective", "plural"], restore: ["", "e"] },
+  // Possessive pronominal suffixes, alone and followed by a case or
+  // plural ending (i.e. "omaryo", "of her voice")
+  ...Object.entries(QUENYA_POSSESSIVES).flatMap(([suffix, meaning]) => {
+    const stem = suffix.substring(0, suffix.length - 1);
+    return ["", "i"].flatMap((link) => [
+      { suffix: link + suffix, tags: [`${meaning} (-${suffix})`] },
+      {
+        suffix: link + stem + "o",
+        tags: [`${meaning} (-${suffix})`, "genitive"],
+      },
+      {
+        suffix: link + suffix + "r",
+        tags: [`${meaning} (-${suffix})`, "plural"],
+      },
+      {
+        suffix: link + suffix + "n",
+        tags: [`${meaning} (-${suffix})`, "dative"],
+      },
+    ]);
+  }),
+];
+
+// The endings of the regular declension of Quenya nouns, by case, added to
+// a noun ending in a vowel, to a noun ending in a consonant (with a
+// connecting vowel), to an "i" plural ("lassi", "eleni") and to the stem of
+// an "r" plural ("alda", plural "aldar"). The genitive singular of the
+// nouns ending in a vowel is formed differently (see `declineQuenyaNoun()`).
+const QUENYA_DECLENSION = [
+  { case: "nominative", vowel: "", consonant: "", i: "", r: "r" },
+  { case: "genitive", vowel: null, consonant: "o", i: "on", r: "ron" },
+  { case: "possessive", vowel: "va", consonant: "wa", i: "va", r: "iva" },
+  { case: "dative", vowel: "n", consonant: "en", i: "n", r: "in" },
+  { case: "ablative", vowel: "llo", consonant: "ello", i: "llon", r: "llon" },
+  { case: "allative", vowel: "nna", consonant: "enna", i: "nnar", r: "nnar" },
+  { case: "locative", vowel: "ssë", consonant: "essë", i: "ssen", r: "ssen" },
+  {
+    case: "instrumental",
+    vowel: "nen",
+    consonant: "enen",
+    i: "nen",
+    r: "inen",
+  },
+  { case: "respective", vowel: "s", consonant: "es", i: "s", r: "is" },
+];
+
+// The Sindarin prefixes (mostly articles and prepositions) that are joined
+// to the following word with a hyphen, and cause its mutation
+const SINDARIN_PREFIXES = {
+  i: "the (singular article)",
+  in: "the (plural article)",
+  en: "of the",
+  e: "of the",
+  ir: "the (plural article)",
+  na: "to, at",
+  nan: "to the",
+  o: "from, of",
+  od: "from, of",
+  ed: "out of",
+  a: "and",
+  ah: "and",
+};
+
+// Sindarin initial consonant mutations, as pairs of a mutated initial and
+// the radical (unmutated) initial it may come from. An empty mutated
+// initial means the radical initial was dropped (i.e. "gaur" > "'aur").
+const SINDARIN_MUTATIONS = {
+  soft: [
+    ["chw", "hw"],
+    ["dh", "d"],
+    ["ch", "h"],
+    ["b", "p"],
+    ["d", "t"],
+    ["g", "c"],
+    ["v", "b"],
+    ["v", "m"],
+    ["h", "s"],
+    ["l", "lh"],
+    ["r", "rh"],
+    ["w", "gw"],
+    ["", "g"],
+  ],
+  nasal: [
+    ["ph", "p"],
+    ["th", "t"],
+    ["ch", "c"],
+    ["ch", "h"],
+    ["m", "b"],
+    ["n", "d"],
+    ["ng", "g"],
+  ],
+  mixed: [
+    ["b", "p"],
+    ["d", "t"],
+    ["g", "c"],
+    ["v", "m"],
+    ["", "g"],
+  ],
+};
+
+// Sindarin plurals are formed by vowel changes (i-affection): the vowels
+// of a plural form, mapped to the vowels of the singular they may come from
+const SINDARIN_PLURAL_VOWELS = {
+  ai: ["a"],
+  ei: ["e"],
+  i: ["e"],
+  y: ["o", "u"],
+  e: ["a", "o"],
+};
+
+// The largest number of vowels changed when looking for the singular of
+// a Sindarin plural
+const MAX_PLURAL_VOWELS = 4;
+
+/**
+ * Return the possible analyses of an inflected Elvish word (ascii and case
+ * folded), that is the lemmas it may be an inflected form of.
+ *
+ * `isLemma(form, language)` must return true if `form` is a lemma of the
+ * dictionary in the language ("quenya" or "sindarin"). Only the analyses
+ * resulting in a lemma are returned.
+ *
+ * Each analysis is an object with:
+ * - `form`: the lemma (ascii and case folded)
+ * - `language`: "quenya" or "sindarin"
+ * - `steps`: an array describing the transformations that were undone,
+ * each one with a `type` ("suffix", "prefix", "mutation", "plural" or
+ * "compound") and a `description`
+ */
+function analyzeWord(word, isLemma) {
+  const result = [];
+  const seen = new Set();
+  const add = (analysis) => {
+    const key = analysis.language + ":" + analysis.form;
+    if (seen.has(key) || analysis.form === word) return;
+    seen.add(key);
+    result.push(analysis);
+  };
+
+  for (const analysis of analyzeQuenya(word, (x) => isLemma(x, "quenya")))
+    add(analysis);
+  for (const analysis of analyzeSindarin(word, (x) => isLemma(x, "sindarin")))
+    add(analysis);
+
+  // Prefer the simplest analyses
+  return result.sort((a, b) => a.steps.length - b.steps.length);
+}
+
+/**
+ * Strip up to two layers of Quenya endings (i.e. a plural followed by a
+ * possessive suffix)
+ */
+function analyzeQuenya(word, isLemma) {
+  const result = [];
+  const strip = (form, steps, depth) => {
+    for (const ending of QUENYA_ENDINGS) {
+      if (!form.endsWith(ending.suffix)) continue;
+      const stem = form.substring(0, form.length - ending.suffix.length);
+      if (stem.length < 2) continue;
+      const step = {
+        type: "suffix",
+        suffix: "-" + ending.suffix,
+        description: ending.tags.join(" "),
+      };
+      for (const restore of ending.restore ?? [""]) {
+        const candidate = stem + restore;
+        // The steps are listed from the lemma to the inflected form
+        const candidateSteps = [step, ...steps];
+        if (isLemma(candidate))
+          result.push({
+            form: candidate,
+            language: "quenya",
+            steps: candidateSteps,
+          });
+        if (depth < 2) strip(candidate, candidateSteps, depth + 1);
+      }
+    }
+  };
+  strip(word, [], 1);
+  return result;
+}
+
+/**
+ * Undo a Sindarin prefix, initial mutation and plural vowel changes, or
+ * split a compound
+ */
+function analyzeSindarin(word, isLemma) {
+  const result = [];
+
+  // A prefix joined with a hyphen, i.e. "i-dhuin"
+  let prefixSteps = [];
+  const m = word.match(/^([a-z]+)[-'](.+)$/);
+  if (m && SINDARIN_PREFIXES[m[1]]) {
+    prefixSteps = [
+      {
+        type: "prefix",
+        prefix: m[1] + "-",
+        description: SINDARIN_PREFIXES[m[1]],
+      },
+    ];
+    word = m[2];
+  }
+
+  for (const unmutated of unmutateSindarin(word)) {
+    for (const singular of singularsSindarin(unmutated.form)) {
+      const steps = [...singular.steps, ...unmutated.steps, ...prefixSteps];
+      if (steps.length > 0 && isLemma(singular.form))
+        result.push({ form: singular.form, language: "sindarin", steps });
+    }
+  }
+
+  // A compound of two lemmas, i.e. "gaurhoth" ("gaur" + "hoth"), the
+  // second one possibly mutated
+  for (let i = 2; i <= word.length - 2; i++) {
+    const first = word.substring(0, i);
+    if (!isLemma(first)) continue;
+    for (const second of unmutateSindarin(word.substring(i))) {
+      if (!isLemma(second.form)) continue;
+      const steps = [
+        {
+          type: "compound",
+          parts: [first, second.form],
+          description: `compound of ${first} and ${second.form}`,
+        },
+        ...second.steps,
+        ...prefixSteps,
+      ];
+      result.push({ form: first, language: "sindarin", steps });
+      result.push({ form: second.form, language: "sindarin", steps });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Return the possible radical forms of a Sindarin word, including the word
+ * itself, with the description of the mutation undone
+ */
+function unmutateSindarin(word) {
+  const result = [{ form: word, steps: [] }];
+  for (const [mutation, pairs] of Object.entries(SINDARIN_MUTATIONS)) {
+    for (const [mutated, radical] of pairs) {
+      if (!word.startsWith(mutated)) continue;
+      // A dropped initial can only be restored before a vowel
+      if (!mutated && !/^[aeiouy]/.test(word)) continue;
+      const form = radical + word.substring(mutated.length);
+      if (result.some((x) => x.form === form)) continue;
+      result.push({
+        form,
+        steps: [
+          {
+            type: "mutation",
+            mutation,
+            description: `${mutation} mutation of ${radical}- to ${
+              mutated || "'"
+            }-`,
+          },
+        ],
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * Return the possible singular forms of a Sindarin word, including the
+ * word itself, by undoing the vowel changes of the plural
+ */
+function singularsSindarin(word) {
+  const parts = word.split(/(ai|ei|[aeiouy])/);
+  const vowels = [];
+  parts.forEach((part, i) => {
+    if (SINDARIN_PLURAL_VOWELS[part]) vowels.push(i);
+  });
+  if (vowels.length === 0 || vowels.length > MAX_PLURAL_VOWELS)
+    return [{ form: word, steps: [] }];
+
+  const result = [];
+  const expand = (k, current) => {
+    if (k === vowels.length) {
+      const form = current.join("");
+      result.push({
+        form,
+        steps:
+          form === word
+            ? []
+            : [{ type: "plural", description: `plural of ${form}` }],
+      });
+      return;
+    }
+    const i = vowels[k];
+    for (const vowel of [parts[i], ...SINDARIN_PLURAL_VOWELS[parts[i]]]) {
+      const next = [...current];
+      next[i] = vowel;
+      expand(k + 1, next);
+    }
+  };
+  expand(0, parts);
+  return result;
+}
+
+/**
+ * Return the forms of the regular declension of a Quenya noun, in the
+ * singular and the plural, each with its `v` and its `tags` (case and
+ * number). `stem` is the stem of the noun, if it differs from the lemma
+ * (i.e. "elen-" for "elen"). These forms are computed, not attested:
+ * irregular nouns decline differently.
+ */
+function declineQuenyaNoun(v, stem) {
+  // A final "ë" loses its diaeresis when followed by an ending, and a final
+  // "i" merges with the "i" of an ending
+  const join = (word, ending) => {
+    if (!ending) return word;
+    if (word.endsWith("i") && ending.startsWith("i"))
+      ending = ending.substring(1);
+    return word.replace(/ë$/, "e") + ending;
+  };
+  const consonant = !/[aeiouáéíóúë]$/i.test(v);
+  const base = consonant && stem ? stem.replace(/-$/, "") : v;
+
+  // The plural is in "-i" for the nouns ending in "ë" or in a consonant,
+  // and in "-r" otherwise
+  const iPlural = consonant || v.endsWith("ë");
+  const plural = iPlural ? base.replace(/ë$/, "") + "i" : base + "r";
+
+  const result = [];
+  for (const endings of QUENYA_DECLENSION) {
+    let singular;
+    if (endings.case === "nominative") singular = v;
+    else if (consonant) singular = join(base, endings.consonant);
+    else if (endings.vowel !== null) singular = join(base, endings.vowel);
+    // The genitive of "alda" is "aldo", of "ondo" is "ondo"
+    else if (/a$/.test(base)) singular = base.replace(/a$/, "o");
+    else singular = join(base, /o$/.test(base) ? "" : "o");
+
+    result.push({ v: singular, tags: [endings.case, "singular"] });
+    result.push({
+      v: iPlural ? plural + endings.i : join(base, endings.r),
+      tags: [endings.case, "plural"],
+    });
+  }
+  return result;
+}
+
+module.exports = { analyzeWord, declineQuenyaNoun };
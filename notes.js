@@ -0,0 +1,185 @@
+"use strict";
+
+// The formats the notes can be rendered in
+const NOTES_FORMATS = ["text", "markdown", "html", "json"];
+
+// The eldamo markup of the notes, and the type of the node they are turned
+// into. The other elements are replaced with their content.
+const NOTES_ELEMENTS = {
+  i: "emphasis",
+  em: "emphasis",
+  b: "strong",
+  strong: "strong",
+  p: "paragraph",
+  br: "break",
+};
+
+// The characters escaped in HTML
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// A reference to a word in the text of the notes, i.e. "[[q|tinwë]]"
+const WORD_REFERENCE = /\[\[(?:([a-z-]+)\|)?([^\]|]+)\]\]/g;
+
+/**
+ * Turn the `notes` node of a word (an xmldoc element) into a structured
+ * document: an array of strings (text) and of objects with a `type`:
+ * - "emphasis", "strong" or "paragraph", with their `children`
+ * - "break", a line break
+ * - "word", a reference to a word, with its `v` and `language`
+ * `language` is the language of the word the notes are about, used for the
+ * references that don't specify one.
+ */
+function compileNotes(node, language) {
+  const result = [];
+  for (const child of node.children) {
+    if (child.type === "text" || child.type === "cdata") {
+      compileText(child.text ?? child.cdata, language, result);
+    } else if (child.type === "element") {
+      const type = NOTES_ELEMENTS[child.name];
+      if (child.attr.v && !type) {
+        // A word reference, i.e. <word-ref l="s" v="êl"/>
+        result.push({
+          type: "word",
+          v: child.attr.v,
+          language: child.attr.l ?? language,
+        });
+      } else if (type === "break") {
+        result.push({ type });
+      } else if (type) {
+        result.push({ type, children: compileNotes(child, language) });
+      } else {
+        result.push(...compileNotes(child, language));
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Add the text and the word references it includes to the document
+ */
+function compileText(text, language, result) {
+  text = text.replace(/\s+/g, " ");
+  let start = 0;
+  for (const m of text.matchAll(WORD_REFERENCE)) {
+    if (m.index > start) result.push(text.substring(start, m.index));
+    result.push({ type: "word", v: m[2], language: m[1] ?? language });
+    start = m.index + m[0].length;
+  }
+  if (start < text.length) result.push(text.substring(start));
+}
+
+/**
+ * Render the notes (as returned by `compileNotes()`) in a format (see
+ * NOTES_FORMATS). `resolve(word)` returns the id of the entry a word
+ * reference refers to, if any: the references are then links to the
+ * entries (in Markdown and HTML), or include their `id` (in JSON).
+ */
+function renderNotes(notes, format, resolve) {
+  if (!notes) return undefined;
+  if (format === "json") return resolveWords(notes, resolve);
+  if (format === "html") return renderHtml(notes, resolve).trim();
+
+  if (format === "markdown") {
+    // A single line break is a hard break, which keeps its two spaces
+    return renderMarkdown(notes, resolve)
+      .replace(/ *(\n+) */g, (_match, breaks) =>
+        breaks.length === 1 ? "  \n" : "\n\n"
+      )
+      .trim();
+  }
+
+  return renderText(notes)
+    .replace(/ *\n */g, "\n")
+    .trim();
+}
+
+/**
+ * Return the notes with the id of the entries the word references refer to
+ */
+function resolveWords(notes, resolve) {
+  return notes.map((node) => {
+    if (typeof node === "string") return node;
+    if (node.type === "word") {
+      const id = resolve(node);
+      return id ? { ...node, id } : node;
+    }
+    if (!node.children) return node;
+    return { ...node, children: resolveWords(node.children, resolve) };
+  });
+}
+
+/**
+ * Render the notes as plain text, without markup or links
+ */
+function renderText(notes) {
+  return notes
+    .map((node) => {
+      if (typeof node === "string") return node;
+      if (node.type === "word") return node.v;
+      if (node.type === "break") return "\n";
+      const text = renderText(node.children);
+      return node.type === "paragraph" ? `\n\n${text}\n\n` : text;
+    })
+    .join("");
+}
+
+/**
+ * Render the notes as Markdown
+ */
+function renderMarkdown(notes, resolve) {
+  return notes
+    .map((node) => {
+      if (typeof node === "string") return escapeMarkdown(node);
+      if (node.type === "word") {
+        const id = resolve(node);
+        const v = escapeMarkdown(node.v);
+        return id ? `[${v}](/entry/${encodeURIComponent(id)})` : v;
+      }
+      if (node.type === "break") return "  \n";
+      const text = renderMarkdown(node.children, resolve);
+      if (node.type === "emphasis") return `*${text}*`;
+      if (node.type === "strong") return `**${text}**`;
+      return `\n\n${text}\n\n`;
+    })
+    .join("");
+}
+
+/**
+ * Render the notes as HTML. Only the markup of the notes (emphasis,
+ * paragraphs...) is turned into HTML elements: the text is escaped.
+ */
+function renderHtml(notes, resolve) {
+  return notes
+    .map((node) => {
+      if (typeof node === "string") return escapeHtml(node);
+      if (node.type === "word") {
+        const id = resolve(node);
+        const v = escapeHtml(node.v);
+        if (!id) return v;
+        return `<a href="/entry/${encodeURIComponent(id)}">${v}</a>`;
+      }
+      if (node.type === "break") return "<br>";
+      const html = renderHtml(node.children, resolve);
+      if (node.type === "emphasis") return `<em>${html}</em>`;
+      if (node.type === "strong") return `<strong>${html}</strong>`;
+      return `<p>${html}</p>`;
+    })
+    .join("");
+}
+
+function escapeMarkdown(s) {
+  return s.replace(/[\\`*_[\]<>#]/g, (c) => "\\" + c);
+}
+
+function escapeHtml(s) {
+  return s.replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+}
+
+module.exports = { NOTES_FORMATS, compileNotes, renderNotes };
@@ -0,0 +1,71 @@
+"use strict";
+
+const { LANGUAGE_GROUPS } = require("./languages");
+
+// The orthographies with their own spelling conventions. The languages
+// that are not listed use the "default" orthography.
+const ORTHOGRAPHY_LANGUAGES = {
+  quenya: LANGUAGE_GROUPS.quenya,
+  sindarin: LANGUAGE_GROUPS.sindarin,
+};
+
+const ORTHOGRAPHIES = [...Object.keys(ORTHOGRAPHY_LANGUAGES), "default"];
+
+// Letters that the ascii folding would turn into a different sound (i.e.
+// "ñ" into "n"), replaced with their usual transliteration
+const SPECIAL_LETTERS = {
+  ñ: "ng",
+  Ñ: "Ng",
+  ð: "dh",
+  Ð: "Dh",
+  þ: "th",
+  Þ: "Th",
+  ƕ: "hw",
+  Ƕ: "Hw",
+};
+
+/**
+ * Replace the letters that would lose their value when ascii folded
+ * (ñ, ð, þ, ƕ) with their transliteration. To be applied to a lemma or a
+ * query before folding it.
+ */
+function transliterate(s) {
+  return s.replace(/[ñÑðÐþÞƕǶ]/g, (c) => SPECIAL_LETTERS[c]);
+}
+
+/**
+ * Return the orthography ("quenya", "sindarin" or "default") used by the
+ * spelling of a language
+ */
+function orthographyOf(language) {
+  for (const [orthography, languages] of Object.entries(
+    ORTHOGRAPHY_LANGUAGES
+  )) {
+    if (languages.includes(language)) return orthography;
+  }
+  return "default";
+}
+
+/**
+ * Return a canonical spelling of a word (transliterated, ascii and case
+ * folded), so that the spelling variants of a word found in different
+ * sources (c/k, qu/kw, x/ks, hy/hj, ñ/ng, þ/s...) have the same canonical
+ * spelling in the orthography.
+ */
+function canonicalize(word, orthography) {
+  word = word
+    .replace(/qu/g, "kw")
+    .replace(/c(?!h)/g, "k")
+    .replace(/x/g, "ks")
+    .replace(/hj/g, "hy");
+
+  if (orthography === "quenya") {
+    // Initial ñ (ng) was pronounced n (Ñoldo, Ngoldo, Noldo), and þ (th)
+    // merged with s (þúlë, súlë)
+    word = word.replace(/\bng/g, "n").replace(/th/g, "s");
+  }
+
+  return word;
+}
+
+module.exports = { ORTHOGRAPHIES, transliterate, orthographyOf, canonicalize };
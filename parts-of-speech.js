@@ -0,0 +1,71 @@
+"use strict";
+
+const { QueryError } = require("./errors");
+
+// The parts of speech (the eldamo `speech` attribute) that are not
+// included in the search results unless explicitly requested
+const DEFAULT_EXCLUDED_POS = [
+  "suf",
+  "pref",
+  "phoneme",
+  "phonetics",
+  "phonetic-rule",
+  "phonetic-group",
+  "grammar",
+];
+
+/**
+ * Return the parts of speech of an entry. The eldamo `speech` attribute
+ * may contain several space separated values, i.e. "adj n".
+ */
+function partsOfSpeech(entry) {
+  return (entry.pos ?? "").split(" ").filter((x) => x);
+}
+
+/**
+ * Turn the value of a part of speech query parameter (a comma separated
+ * list, or an array of them) into a set.
+ * Return undefined if the parameter is absent.
+ * Throw a QueryError if a value is not one of the `known` parts of speech.
+ */
+function parsePartOfSpeechFilter(value, known) {
+  if (value === undefined) return undefined;
+
+  const items = (Array.isArray(value) ? value : [value])
+    .flatMap((x) => String(x).split(","))
+    .map((x) => x.trim().toLowerCase())
+    .filter((x) => x);
+
+  const unknown = items.filter((x) => !known.has(x));
+  if (unknown.length > 0) {
+    const valid = [...known].sort();
+    throw new QueryError(
+      `Unknown part of speech ${unknown.map((x) => `"${x}"`).join(", ")}. ` +
+        `Valid parts of speech are: ${valid.join(", ")}.`,
+      { partsOfSpeech: valid }
+    );
+  }
+
+  return new Set(items);
+}
+
+/**
+ * Return true if the entry should be included in the search results.
+ * If `include` is a set, the entry must have one of those parts of speech.
+ * If `exclude` is a set, it must not have any of those parts of speech.
+ * Without either, the entries whose part of speech is exactly one of
+ * DEFAULT_EXCLUDED_POS are left out (i.e. "suf", but not "suf n").
+ */
+function matchPartOfSpeech(entry, include, exclude) {
+  const pos = partsOfSpeech(entry);
+  if (include && !pos.some((x) => include.has(x))) return false;
+  if (exclude) return !pos.some((x) => exclude.has(x));
+  return include !== undefined || !DEFAULT_EXCLUDED_POS.includes(entry.pos);
+}
+
+module.exports = {
+  DEFAULT_EXCLUDED_POS,
+  partsOfSpeech,
+  parsePartOfSpeechFilter,
+  matchPartOfSpeech,
+};
@@ -0,0 +1,225 @@
+"use strict";
+
+// The length of the n-grams used to find the terms containing a query.
+// Queries shorter than that use n-grams of their own length.
+const NGRAM_LENGTH = 3;
+
+// The length of the n-grams used to find the terms close to a query
+const FUZZY_NGRAM_LENGTH = 2;
+
+/**
+ * An inverted index of the terms of the dictionary entries (as computed by
+ * `computeLemmaIndex()` or `computeGlossIndex()`).
+ *
+ * Each distinct term is assigned a number, and is mapped to the entries
+ * that include it in their index. The terms are in turn indexed by their
+ * n-grams (of length 1 to NGRAM_LENGTH), so that the terms that start with
+ * or contain a query can be found without comparing the query with every
+ * term, and by their length, for fuzzy matching.
+ *
+ * If a `normalize` function is provided, the terms are also indexed by
+ * their normalized form (i.e. with their inflection removed).
+ */
+class SearchIndex {
+  /**
+   * `entries` is an array of the terms of each entry, as arrays of strings.
+   * The entries are referred to by their position in this array.
+   */
+  constructor(entries, normalize) {
+    // The distinct terms
+    this.terms = [];
+
+    // The number of each term
+    const termNumbers = new Map();
+    this.termNumbers = termNumbers;
+    const termEntries = [];
+    entries.forEach((entryTerms, i) => {
+      for (const term of entryTerms) {
+        let t = termNumbers.get(term);
+        if (t === undefined) {
+          t = this.terms.length;
+          termNumbers.set(term, t);
+          this.terms.push(term);
+          termEntries.push([]);
+        }
+        const list = termEntries[t];
+        // An entry can include the same term more than once
+        if (list[list.length - 1] !== i) list.push(i);
+      }
+    });
+    this.termEntries = termEntries.map((x) => Int32Array.from(x));
+
+    const ngrams = new Map();
+    const termsByLength = [];
+    this.terms.forEach((term, t) => {
+      for (let n = 1; n <= NGRAM_LENGTH; n++) {
+        for (const ngram of new Set(ngramsOf(term, n))) {
+          let list = ngrams.get(ngram);
+          if (!list) {
+            list = [];
+            ngrams.set(ngram, list);
+          }
+          list.push(t);
+        }
+      }
+      if (!termsByLength[term.length]) termsByLength[term.length] = [];
+      termsByLength[term.length].push(t);
+    });
+
+    // Sorted arrays of term numbers
+    this.ngrams = new Map();
+    for (const [ngram, list] of ngrams)
+      this.ngrams.set(ngram, Int32Array.from(list));
+    this.termsByLength = Array.from(termsByLength, (x) =>
+      Int32Array.from(x ?? [])
+    );
+
+    this.normalize = normalize;
+    this.normalizedTerms = new Map();
+    if (normalize) {
+      this.terms.forEach((term, t) => {
+        const form = normalize(term);
+        let list = this.normalizedTerms.get(form);
+        if (!list) {
+          list = [];
+          this.normalizedTerms.set(form, list);
+        }
+        list.push(t);
+      });
+    }
+  }
+
+  /**
+   * Return the entries (as numbers) that include exactly the term q
+   * (a string)
+   */
+  entriesWithTerm(q) {
+    const t = this.termNumbers.get(q);
+    return t === undefined ? [] : this.termEntries[t];
+  }
+
+  /**
+   * Return the entries (as numbers) that include the term t
+   */
+  entries(t) {
+    return this.termEntries[t];
+  }
+
+  /**
+   * Return an array of the term numbers that could match the query q: the
+   * terms that contain q and, if tolerance is not 0, the terms that may be
+   * at most `tolerance` edits away from q (see `termsCloseTo()`).
+   * The terms still need to be scored against q.
+   */
+  candidateTerms(q, tolerance = 0) {
+    if (!q) return [];
+
+    const result = this.termsContaining(q);
+
+    if (tolerance > 0) {
+      const seen = new Set(result);
+      for (const t of this.termsCloseTo(q, tolerance)) {
+        if (!seen.has(t)) result.push(t);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Return an array of the terms that may be at most `tolerance` edits away
+   * from q: their length differs by at most `tolerance`, and they share
+   * enough n-grams with q. Each edit changes at most FUZZY_NGRAM_LENGTH + 1
+   * of the n-grams of q (a transposition of two letters is a single edit,
+   * see `editDistance()`), so the others must be found in the term.
+   */
+  termsCloseTo(q, tolerance) {
+    const n = FUZZY_NGRAM_LENGTH;
+    const min = Math.max(1, q.length - tolerance);
+    const max = Math.min(this.termsByLength.length - 1, q.length + tolerance);
+    const threshold = q.length - n + 1 - tolerance * (n + 1);
+
+    // Without enough n-grams to compare, all the terms of the right length
+    // are candidates
+    if (threshold < 1) {
+      const result = [];
+      for (let length = min; length <= max; length++)
+        result.push(...this.termsByLength[length]);
+      return result;
+    }
+
+    // The number of n-grams of q (by position) found in each term
+    const counts = new Map();
+    for (const ngram of ngramsOf(q, n)) {
+      for (const t of this.ngrams.get(ngram) ?? []) {
+        const length = this.terms[t].length;
+        if (length >= min && length <= max)
+          counts.set(t, (counts.get(t) ?? 0) + 1);
+      }
+    }
+
+    const result = [];
+    for (const [t, count] of counts) if (count >= threshold) result.push(t);
+    return result;
+  }
+
+  /**
+   * Return an array of the terms with the same normalized form as q,
+   * if the index has a `normalize` function
+   */
+  termsNormalizedAs(q) {
+    if (!this.normalize) return [];
+    return this.normalizedTerms.get(this.normalize(q)) ?? [];
+  }
+
+  /**
+   * Return an array of the terms that may contain q, i.e. that contain all
+   * of its n-grams
+   */
+  termsContaining(q) {
+    const n = Math.min(q.length, NGRAM_LENGTH);
+    const lists = [];
+    for (const ngram of new Set(ngramsOf(q, n))) {
+      const list = this.ngrams.get(ngram);
+      if (!list) return [];
+      lists.push(list);
+    }
+
+    // Intersect the lists, starting with the shortest one
+    lists.sort((a, b) => a.length - b.length);
+    let result = Array.from(lists[0]);
+    for (let i = 1; i < lists.length && result.length > 0; i++)
+      result = intersect(result, lists[i]);
+
+    return result;
+  }
+}
+
+/**
+ * Return the substrings of length n of s
+ */
+function ngramsOf(s, n) {
+  const result = [];
+  for (let i = 0; i + n <= s.length; i++) result.push(s.substring(i, i + n));
+  return result;
+}
+
+/**
+ * Return the intersection of two sorted arrays of numbers
+ */
+function intersect(a, b) {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push(a[i]);
+      i++;
+      j++;
+    } else if (a[i] < b[j]) i++;
+    else j++;
+  }
+  return result;
+}
+
+module.exports = { SearchIndex };
@@ -0,0 +1,185 @@
+"use strict";
+
+// The prefixes up to this length have their completions listed in advance,
+// by rank, since they have too many completions to rank them on each query
+const SHORT_PREFIX_LENGTH = 2;
+
+/**
+ * An index of the completions of a prefix: the lemmas and the glosses of
+ * the dictionary entries.
+ *
+ * The completions are kept in an array sorted by their key (their ascii
+ * and case folded text), so that the completions of a prefix are found
+ * with a binary search, as a contiguous range of the array. The completions
+ * of the short prefixes are also listed by rank (see `rank()`), so that only
+ * the best ones are considered.
+ */
+class SuggestIndex {
+  /**
+   * `items` is an array of objects with:
+   * - `key`: the ascii and case folded text the completion is found by
+   * - `text`: the text of the completion
+   * - `kind`: "lemma" or "gloss"
+   * - `language`: the language of the entry the completion comes from
+   * The items with the same key, text and kind are merged into a single
+   * completion, with all their languages.
+   */
+  constructor(items) {
+    const completions = new Map();
+    for (const item of items) {
+      if (!item.key) continue;
+      const id = `${item.key}\t${item.kind}\t${item.text}`;
+      let completion = completions.get(id);
+      if (!completion) {
+        completion = {
+          key: item.key,
+          text: item.text,
+          kind: item.kind,
+          languages: [],
+        };
+        completions.set(id, completion);
+      }
+      if (item.language && !completion.languages.includes(item.language))
+        completion.languages.push(item.language);
+    }
+
+    this.completions = [...completions.values()].sort((a, b) =>
+      a.key < b.key ? -1 : a.key > b.key ? 1 : 0
+    );
+
+    // The completions of each short prefix, by rank
+    this.shortPrefixes = new Map();
+    for (const completion of this.completions) {
+      const length = Math.min(completion.key.length, SHORT_PREFIX_LENGTH);
+      for (let n = 1; n <= length; n++) {
+        const prefix = completion.key.substring(0, n);
+        let list = this.shortPrefixes.get(prefix);
+        if (!list) {
+          list = [];
+          this.shortPrefixes.set(prefix, list);
+        }
+        list.push(completion);
+      }
+    }
+    for (const list of this.shortPrefixes.values())
+      list.sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Return up to `limit` completions, best first: the shortest completions,
+   * lemmas before glosses, and then the ones found in the most languages.
+   *
+   * `queries` is an array of objects with:
+   * - `prefix`: the prefix (ascii and case folded) to complete
+   * - `kind`: if present, only the completions of this kind are considered
+   * - `languages`: if present, a set of languages. Only the completions in
+   * those languages are considered.
+   * The completions of all the queries are merged.
+   */
+  suggest(queries, limit) {
+    // The completions of each query, by rank
+    const lists = queries
+      .filter(({ prefix }) => prefix)
+      .map((query) => ({
+        ...query,
+        list: this.rankedCompletions(query.prefix),
+      }));
+    const positions = lists.map(() => 0);
+
+    // The completions are considered by rank, and all those with the same
+    // rank at once since they are then ordered by their languages: the
+    // completions with a lower rank cannot be among the best ones
+    const candidates = new Map();
+    while (candidates.size < limit) {
+      let current = Infinity;
+      lists.forEach(({ list }, i) => {
+        if (positions[i] < list.length)
+          current = Math.min(current, rank(list[positions[i]]));
+      });
+      if (current === Infinity) break;
+
+      lists.forEach(({ list, kind, languages }, i) => {
+        for (; positions[i] < list.length; positions[i]++) {
+          const completion = list[positions[i]];
+          if (rank(completion) !== current) break;
+          if (kind && completion.kind !== kind) continue;
+
+          const matching = languages
+            ? completion.languages.filter((x) => languages.has(x))
+            : completion.languages;
+          if (languages && matching.length === 0) continue;
+
+          const candidate = candidates.get(completion);
+          if (candidate) {
+            for (const language of matching)
+              if (!candidate.languages.includes(language))
+                candidate.languages.push(language);
+          } else {
+            candidates.set(completion, {
+              ...completion,
+              languages: [...matching],
+            });
+          }
+        }
+      });
+    }
+
+    return [...candidates.values()]
+      .sort(compare)
+      .slice(0, limit)
+      .map(({ text, kind, languages }) => ({ text, kind, languages }));
+  }
+
+  /**
+   * Return the completions of a prefix, by rank
+   */
+  rankedCompletions(prefix) {
+    if (prefix.length <= SHORT_PREFIX_LENGTH)
+      return this.shortPrefixes.get(prefix) ?? [];
+
+    const result = [];
+    for (let i = this.lowerBound(prefix); i < this.completions.length; i++) {
+      if (!this.completions[i].key.startsWith(prefix)) break;
+      result.push(this.completions[i]);
+    }
+    return result.sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Return the position of the first completion whose key is greater than
+   * or equal to the prefix
+   */
+  lowerBound(prefix) {
+    let low = 0;
+    let high = this.completions.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.completions[mid].key < prefix) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+}
+
+/**
+ * Return the rank of a completion: the shortest completions first, and
+ * lemmas before glosses. The completions with the same rank are then
+ * compared by their languages (see `compare()`).
+ */
+function rank(completion) {
+  return completion.key.length * 2 + (completion.kind === "lemma" ? 0 : 1);
+}
+
+/**
+ * Compare two completions, the best one first
+ */
+function compare(a, b) {
+  if (a.key.length !== b.key.length) return a.key.length - b.key.length;
+  if (a.kind !== b.kind) return a.kind === "lemma" ? -1 : 1;
+  if (a.languages.length !== b.languages.length)
+    return b.languages.length - a.languages.length;
+  if (a.key !== b.key) return a.key < b.key ? -1 : 1;
+  return a.text < b.text ? -1 : a.text > b.text ? 1 : 0;
+}
+
+module.exports = { SuggestIndex };
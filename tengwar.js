@@ -0,0 +1,154 @@
+"use strict";
+
+const ASCIIFolder = require("./ascii-folder");
+
+const asciiFolder = new ASCIIFolder();
+
+// The letters of the eldamo `tengwar` hints: the Latin letter each one
+// stands for, the tengwa it is written with, and why.
+// The lower and upper case forms of each letter are listed, and the
+// `digraph` the letter may already be spelled with.
+const TENGWAR_HINTS = {
+  ñ: {
+    letter: "n",
+    digraph: "ng",
+    replacement: ["ñ", "Ñ"],
+    tengwa: "noldo",
+    reason:
+      'This "n" comes from an older "ñ" (ng), and is written with noldo ' +
+      "rather than númen",
+  },
+  þ: {
+    letter: "s",
+    replacement: ["þ", "Þ"],
+    tengwa: "thúlë",
+    reason:
+      'This "s" comes from an older "þ" (th), and is written with thúlë ' +
+      "(súlë) rather than silmë",
+  },
+};
+
+/**
+ * Apply the eldamo `tengwar` hint of a word to its lemma (v), that is
+ * replace the letters that are not written with the usual tengwa (i.e.
+ * "nóre" is written with noldo, "ñóre").
+ *
+ * The hint is one or more space or comma separated parts, each one either:
+ * - a letter (ñ or þ), possibly with hyphens: ñ applies to the initial
+ * letter (noldo only stands for an initial "n"), and þ to the first
+ * occurrence of the letter. A trailing hyphen does not change this ("ñ-" and
+ * "þ-" are read as "ñ" and "þ"), but a leading one does: "-þ" is the final
+ * letter, "-þ-" a medial letter.
+ * - the spelling of the whole word, i.e. "ñorþus" for "Norsus"
+ *
+ * Return the corrected `v`, and the `corrections`, each one with the
+ * `position` and the `letter` it replaced in v, the `replacement`, the
+ * `tengwa` it is written with, and the `reason`. The letters already spelled
+ * as the hint says (i.e. "Ngoldo" or "Ñoldo" for "ñ") are not corrected. The
+ * parts of the hint that cannot be applied are listed in `unapplied`.
+ */
+function applyTengwarHint(v, hint) {
+  const chars = [...v];
+  const corrections = [];
+  const unapplied = [];
+
+  for (const part of hint.split(/[\s,]+/).filter((x) => x)) {
+    const positions = /^-?[ñþ]-?$/i.test(part)
+      ? letterPositions(chars, part)
+      : spellingPositions(chars, part);
+    if (positions.length === 0) {
+      unapplied.push(part);
+      continue;
+    }
+
+    for (const [position, hintLetter] of positions) {
+      const info = TENGWAR_HINTS[hintLetter];
+      const letter = chars[position];
+      if (corrections.some((x) => x.position === position)) continue;
+      const spelled = (letter + (chars[position + 1] ?? "")).toLowerCase();
+      if (letter.toLowerCase() === hintLetter || spelled === info.digraph)
+        continue;
+      const upper = letter !== letter.toLowerCase();
+      chars[position] = info.replacement[upper ? 1 : 0];
+      corrections.push({
+        position,
+        letter,
+        replacement: chars[position],
+        tengwa: info.tengwa,
+        reason: info.reason,
+      });
+    }
+  }
+
+  corrections.sort((a, b) => a.position - b.position);
+  return { v: chars.join(""), corrections, unapplied };
+}
+
+/**
+ * Return the position of the letter a single letter hint (i.e. "ñ-" or
+ * "-þ-") applies to, with the hint letter, as an array of [position,
+ * letter] pairs. The array is empty if the letter is not found where the
+ * hint places it.
+ */
+function letterPositions(chars, part) {
+  const hintLetter = part.replace(/-/g, "").toLowerCase();
+  const matches = [];
+  chars.forEach((c, i) => {
+    if (standsFor(c, hintLetter)) matches.push(i);
+  });
+  if (matches.length === 0) return [];
+
+  // The letters of the word, ignoring a leading or trailing hyphen (i.e.
+  // of a suffix or a verb stem)
+  const first = chars[0] === "-" ? 1 : 0;
+  const last =
+    chars[chars.length - 1] === "-" ? chars.length - 2 : chars.length - 1;
+  let position;
+  if (part.startsWith("-") && part.endsWith("-"))
+    position = matches.find((i) => i > first && i < last);
+  else if (part.startsWith("-")) position = matches.find((i) => i === last);
+  else if (hintLetter === "ñ") position = matches.find((i) => i === first);
+  else position = matches[0];
+
+  return position === undefined ? [] : [[position, hintLetter]];
+}
+
+/**
+ * Return the positions where the spelling of a whole word (i.e. "ñorþus")
+ * differs from the lemma, with the hint letter, as an array of [position,
+ * letter] pairs. The spelling must match the lemma letter for letter.
+ */
+function spellingPositions(chars, part) {
+  const spelling = [...part.replace(/-$/, "")];
+  const word = chars[chars.length - 1] === "-" ? chars.slice(0, -1) : chars;
+  if (spelling.length !== word.length) return [];
+
+  const result = [];
+  for (let i = 0; i < word.length; i++) {
+    const hintLetter = spelling[i].toLowerCase();
+    if (TENGWAR_HINTS[hintLetter] && standsFor(word[i], hintLetter))
+      result.push([i, hintLetter]);
+    else if (fold(spelling[i]) !== fold(word[i])) return [];
+  }
+  return result;
+}
+
+/**
+ * Return true if a letter of a lemma may be the letter of a hint (i.e. "n"
+ * or "ñ" for "ñ")
+ */
+function standsFor(c, hintLetter) {
+  return (
+    c.toLowerCase() === hintLetter ||
+    fold(c) === TENGWAR_HINTS[hintLetter].letter
+  );
+}
+
+/**
+ * Return a letter, ascii and case folded
+ */
+function fold(c) {
+  return asciiFolder.fold(c).toLowerCase();
+}
+
+module.exports = { TENGWAR_HINTS, applyTengwarHint };
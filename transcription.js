@@ -0,0 +1,584 @@
+"use strict";
+
+// The tengwar, with their code point in the ConScript Unicode Registry
+// (CSUR) and their key in the Dan Smith encoding of the popular tengwar fonts
+const TENGWAR = {
+  tinco: [0xe000, "1"],
+  parma: [0xe001, "q"],
+  calma: [0xe002, "a"],
+  quesse: [0xe003, "z"],
+  ando: [0xe004, "2"],
+  umbar: [0xe005, "w"],
+  anga: [0xe006, "s"],
+  ungwe: [0xe007, "x"],
+  thule: [0xe008, "3"],
+  formen: [0xe009, "e"],
+  harma: [0xe00a, "d"],
+  hwesta: [0xe00b, "c"],
+  anto: [0xe00c, "4"],
+  ampa: [0xe00d, "r"],
+  anca: [0xe00e, "f"],
+  unque: [0xe00f, "v"],
+  numen: [0xe010, "5"],
+  malta: [0xe011, "t"],
+  noldo: [0xe012, "g"],
+  nwalme: [0xe013, "b"],
+  ore: [0xe014, "6"],
+  vala: [0xe015, "y"],
+  anna: [0xe016, "h"],
+  vilya: [0xe017, "n"],
+  romen: [0xe020, "7"],
+  arda: [0xe021, "u"],
+  lambe: [0xe022, "j"],
+  alda: [0xe023, "m"],
+  silme: [0xe024, "8"],
+  "silme-nuquerna": [0xe025, "i"],
+  esse: [0xe026, "k"],
+  "esse-nuquerna": [0xe027, ","],
+  hyarmen: [0xe028, "9"],
+  "hwesta-sindarinwa": [0xe029, "o"],
+  yanta: [0xe02a, "l"],
+  ure: [0xe02b, "."],
+  halla: [0xe02c, "½"],
+  "short-carrier": [0xe02d, "`"],
+  "long-carrier": [0xe02e, "~"],
+  pusta: [0xe060, "="],
+  "double-pusta": [0xe061, "-"],
+};
+
+// The signs written above or below the tengwar: the vowels (tehtar), the
+// nasalization and doubling bars, and the dots below of consonantal y
+const SIGNS = {
+  a: [0xe040, "E"],
+  e: [0xe044, "R"],
+  i: [0xe042, "T"],
+  o: [0xe046, "Y"],
+  u: [0xe048, "U"],
+  y: [0xe04e, "Í"],
+  nasal: [0xe04a, "p"],
+  double: [0xe04b, ";"],
+  "y-below": [0xe04f, "É"],
+};
+
+// The keys of the signs in the Dan Smith encoding, for all the positions
+// they can be placed at, above the narrower or wider tengwar
+const DAN_SMITH_SIGN_KEYS = {
+  a: "#EDC",
+  e: "$RFV",
+  i: "%TGB",
+  o: "^YHN",
+  u: "&UJM",
+  y: "ÌÍÎÏ",
+  nasal: "pP",
+  double: ":;",
+  "y-below": "ÈÉÊË",
+};
+
+// The largest number of Latin readings of a tengwar word
+const MAX_READINGS = 16;
+
+// The fonts using the Dan Smith encoding
+const DAN_SMITH_FONTS = [
+  "Tengwar Annatar",
+  "Tengwar Parmaite",
+  "Tengwar Eldamar",
+  "Tengwar Quenya",
+  "Tengwar Sindarin",
+];
+
+// The punctuation, and the tengwar it is written with
+const PUNCTUATION = {
+  ",": "pusta",
+  ";": "pusta",
+  ":": "pusta",
+  ".": "double-pusta",
+  "!": "double-pusta",
+  "?": "double-pusta",
+};
+
+// The tengwar of the punctuation
+const PUNCTUATION_TENGWAR = new Set(Object.values(PUNCTUATION));
+
+// The vowels, as short (a, e...) or long (á, é...) vowels
+const VOWELS = {
+  a: "a",
+  e: "e",
+  i: "i",
+  o: "o",
+  u: "u",
+  ä: "a",
+  ë: "e",
+  ï: "i",
+  ö: "o",
+  ü: "u",
+};
+const LONG_VOWELS = {
+  á: "a",
+  é: "e",
+  í: "i",
+  ó: "o",
+  ú: "u",
+  â: "a",
+  ê: "e",
+  î: "i",
+  ô: "o",
+  û: "u",
+  ý: "y",
+  ŷ: "y",
+};
+
+// The diphthongs, written with the tengwa of their second vowel, and the
+// tehta of their first vowel above it (Sindarin), or above the preceding
+// consonant (Quenya)
+const DIPHTHONGS = {
+  ai: "yanta",
+  oi: "yanta",
+  ui: "yanta",
+  ei: "yanta",
+  au: "ure",
+  eu: "ure",
+  iu: "ure",
+  aw: "ure",
+};
+
+// The vowels written with a tengwa without a tehta
+const TENGWA_VOWELS = {
+  yanta: "i",
+  ure: "u",
+};
+
+// The consonants of each mode, by spelling, and the tengwar they are
+// written with, optionally with signs ("anto" or "tinco+nasal"). `when`
+// restricts a spelling to some contexts: "initial", "final" or "vowel"
+// (before a vowel). The longest spellings are matched first.
+const QUENYA_CONSONANTS = [
+  { spelling: ["nqu", "nkw", "ncw"], tengwar: ["unque"] },
+  { spelling: ["ngw", "ñgw"], tengwar: ["ungwe"] },
+  // A medial "nw" is written with númen and vilya
+  { spelling: ["nw", "ñw"], tengwar: ["nwalme"], when: "initial" },
+  { spelling: ["ng", "ñ"], tengwar: ["noldo"], when: "initial" },
+  { spelling: ["ng", "ñg"], tengwar: ["anga"] },
+  { spelling: ["nc", "nk", "ñc"], tengwar: ["anca"] },
+  { spelling: ["nt"], tengwar: ["anto"] },
+  { spelling: ["nd"], tengwar: ["ando"] },
+  { spelling: ["mp"], tengwar: ["ampa"] },
+  { spelling: ["mb"], tengwar: ["umbar"] },
+  { spelling: ["qu", "kw", "cw"], tengwar: ["quesse"] },
+  { spelling: ["hy"], tengwar: ["hyarmen"] },
+  { spelling: ["hw"], tengwar: ["hwesta"] },
+  { spelling: ["hl"], tengwar: ["halla", "lambe"] },
+  { spelling: ["hr"], tengwar: ["halla", "romen"] },
+  { spelling: ["ld"], tengwar: ["alda"] },
+  { spelling: ["rd"], tengwar: ["arda"] },
+  { spelling: ["ss"], tengwar: ["esse"] },
+  { spelling: ["th", "þ"], tengwar: ["thule"] },
+  { spelling: ["x"], tengwar: ["calma", "silme"] },
+  { spelling: ["ñ"], tengwar: ["noldo"] },
+  { spelling: ["t"], tengwar: ["tinco"] },
+  { spelling: ["p"], tengwar: ["parma"] },
+  { spelling: ["c", "k"], tengwar: ["calma"] },
+  { spelling: ["f"], tengwar: ["formen"] },
+  { spelling: ["h"], tengwar: ["harma"] },
+  { spelling: ["n"], tengwar: ["numen"] },
+  { spelling: ["m"], tengwar: ["malta"] },
+  { spelling: ["rr"], tengwar: ["romen+double"], when: "vowel" },
+  { spelling: ["r"], tengwar: ["romen"], when: "vowel" },
+  { spelling: ["r"], tengwar: ["ore"] },
+  { spelling: ["v"], tengwar: ["vala"] },
+  { spelling: ["w"], tengwar: ["vilya"] },
+  // After a consonant, see `palatalDots`
+  { spelling: ["y"], tengwar: ["anna+y-below"] },
+  { spelling: ["l"], tengwar: ["lambe"] },
+  { spelling: ["s"], tengwar: ["silme"] },
+  { spelling: ["z"], tengwar: ["esse"] },
+];
+
+const SINDARIN_CONSONANTS = [
+  { spelling: ["nth"], tengwar: ["thule+nasal"] },
+  { spelling: ["ngw"], tengwar: ["ungwe+nasal", "vala"] },
+  { spelling: ["mb"], tengwar: ["umbar+nasal"] },
+  { spelling: ["mp"], tengwar: ["parma+nasal"] },
+  { spelling: ["nd"], tengwar: ["ando+nasal"] },
+  { spelling: ["nt"], tengwar: ["tinco+nasal"] },
+  { spelling: ["nc", "nk"], tengwar: ["quesse+nasal"] },
+  { spelling: ["ng", "ñ"], tengwar: ["ungwe+nasal"], when: "vowel" },
+  { spelling: ["ng", "ñ"], tengwar: ["nwalme"] },
+  { spelling: ["th", "þ"], tengwar: ["thule"] },
+  { spelling: ["ph"], tengwar: ["formen"] },
+  { spelling: ["ch"], tengwar: ["hwesta"] },
+  { spelling: ["dh", "ð"], tengwar: ["anto"] },
+  { spelling: ["gh"], tengwar: ["unque"] },
+  { spelling: ["hw"], tengwar: ["hwesta-sindarinwa"] },
+  { spelling: ["lh"], tengwar: ["alda"] },
+  { spelling: ["rh"], tengwar: ["arda"] },
+  { spelling: ["ss"], tengwar: ["esse"] },
+  { spelling: ["t"], tengwar: ["tinco"] },
+  { spelling: ["p"], tengwar: ["parma"] },
+  { spelling: ["c", "k"], tengwar: ["quesse"] },
+  { spelling: ["d"], tengwar: ["ando"] },
+  { spelling: ["b"], tengwar: ["umbar"] },
+  { spelling: ["g"], tengwar: ["ungwe"] },
+  // A final "f" is pronounced "v"
+  { spelling: ["f"], tengwar: ["ampa"], when: "final" },
+  { spelling: ["f"], tengwar: ["formen"] },
+  { spelling: ["v"], tengwar: ["ampa"] },
+  { spelling: ["n"], tengwar: ["numen"] },
+  { spelling: ["m"], tengwar: ["malta"] },
+  { spelling: ["rr"], tengwar: ["romen+double"], when: "vowel" },
+  { spelling: ["r"], tengwar: ["romen"], when: "vowel" },
+  { spelling: ["r"], tengwar: ["ore"] },
+  { spelling: ["w"], tengwar: ["vala"] },
+  { spelling: ["l"], tengwar: ["lambe"] },
+  { spelling: ["s"], tengwar: ["silme"] },
+  { spelling: ["h"], tengwar: ["hyarmen"] },
+  { spelling: ["x"], tengwar: ["quesse", "silme"] },
+  { spelling: ["z"], tengwar: ["esse"] },
+];
+
+// The transcription modes of each language. The vowel tehtar are written
+// above the preceding consonant (Quenya), or the following one (Sindarin).
+// With `palatalDots`, a "y" following a consonant is written as two dots
+// below it (i.e. "ny"). The first mode of a language is its default mode.
+const MODES = {
+  quenya: {
+    classical: {
+      consonants: QUENYA_CONSONANTS,
+      tehtar: "preceding",
+      vowels: "aeiou",
+      palatalDots: true,
+    },
+  },
+  sindarin: {
+    general: {
+      consonants: SINDARIN_CONSONANTS,
+      tehtar: "following",
+      vowels: "aeiouy",
+      palatalDots: false,
+    },
+  },
+};
+
+/**
+ * Return the tengwar of a word (in Latin letters), in a mode (see MODES),
+ * as an array of columns: each one a tengwa, with the `signs` above or
+ * below it
+ */
+function transcribeWord(word, mode) {
+  const letters = [...word.toLowerCase()];
+  const columns = [];
+  // The vowel waiting for the following consonant, in the modes where the
+  // tehtar are written above it
+  let pending;
+  // True if the last column can carry the tehta of a following vowel
+  let open = false;
+
+  const addColumns = (tengwar) => {
+    for (const name of tengwar) {
+      const [tengwa, ...signs] = name.split("+");
+      columns.push({ tengwa, signs });
+    }
+    if (pending) {
+      columns[columns.length - tengwar.length].signs.push(pending);
+      pending = undefined;
+    }
+  };
+  const flushPending = () => {
+    if (pending) columns.push({ tengwa: "short-carrier", signs: [pending] });
+    pending = undefined;
+  };
+  const addVowel = (vowel) => {
+    if (mode.tehtar === "following") {
+      flushPending();
+      pending = vowel;
+    } else if (open) {
+      columns[columns.length - 1].signs.push(vowel);
+      open = false;
+    } else {
+      columns.push({ tengwa: "short-carrier", signs: [vowel] });
+    }
+  };
+
+  let i = 0;
+  while (i < letters.length) {
+    const c = letters[i];
+    const vowel = vowelOf(c, mode);
+
+    if (vowel && LONG_VOWELS[c]) {
+      flushPending();
+      columns.push({ tengwa: "long-carrier", signs: [vowel] });
+      open = false;
+      i += 1;
+      continue;
+    }
+
+    if (vowel) {
+      const glide = DIPHTHONGS[vowel + VOWELS[letters[i + 1]]];
+      if (glide && letters[i + 1] && !LONG_VOWELS[letters[i + 1]]) {
+        if (mode.tehtar === "following") {
+          flushPending();
+          columns.push({ tengwa: glide, signs: [vowel] });
+        } else {
+          addVowel(vowel);
+          columns.push({ tengwa: glide, signs: [] });
+        }
+        open = false;
+        i += 2;
+      } else {
+        addVowel(vowel);
+        i += 1;
+      }
+      continue;
+    }
+
+    if (c === "y" && mode.palatalDots && open) {
+      columns[columns.length - 1].signs.push("y-below");
+      i += 1;
+      continue;
+    }
+
+    const match = matchConsonant(letters, i, mode);
+    if (!match) {
+      // Not a letter of the mode
+      i += 1;
+      continue;
+    }
+    addColumns(match.tengwar);
+    i += match.length;
+
+    // A doubled consonant is written with a bar below
+    if (match.length === 1 && letters[i] === c && c !== "s") {
+      columns[columns.length - 1].signs.push("double");
+      i += 1;
+    }
+    open = true;
+  }
+  flushPending();
+
+  // A silme or an esse carrying a tehta is written upside down
+  for (const column of columns) {
+    if (
+      (column.tengwa === "silme" || column.tengwa === "esse") &&
+      column.signs.some((sign) => vowelOf(sign, mode))
+    )
+      column.tengwa += "-nuquerna";
+  }
+
+  return columns;
+}
+
+/**
+ * Return the vowel (without its length) of a letter in a mode, if it is
+ * a vowel
+ */
+function vowelOf(c, mode) {
+  const vowel = VOWELS[c] ?? LONG_VOWELS[c] ?? (c === "y" ? "y" : undefined);
+  return vowel && mode.vowels.includes(vowel) ? vowel : undefined;
+}
+
+/**
+ * Return the consonant of a mode spelled at the position i of the letters,
+ * as the `tengwar` it is written with and its `length` in letters
+ */
+function matchConsonant(letters, i, mode) {
+  let best;
+  for (const consonant of mode.consonants) {
+    for (const spelling of consonant.spelling) {
+      if (best && spelling.length <= best.length) continue;
+      if (letters.slice(i, i + spelling.length).join("") !== spelling) continue;
+      const next = letters[i + spelling.length];
+      if (consonant.when === "initial" && i !== 0) continue;
+      if (consonant.when === "final" && next !== undefined) continue;
+      if (consonant.when === "vowel" && !(next && vowelOf(next, mode)))
+        continue;
+      best = { tengwar: consonant.tengwar, length: spelling.length };
+    }
+  }
+  return best;
+}
+
+/**
+ * Return the tengwar of a punctuation mark, if any, as an array of columns
+ */
+function transcribePunctuation(mark) {
+  const tengwa = PUNCTUATION[mark];
+  return tengwa ? [{ tengwa, signs: [] }] : [];
+}
+
+/**
+ * Return the columns of tengwar as a string of CSUR code points
+ */
+function encodeCsur(columns) {
+  return columns
+    .map(({ tengwa, signs }) =>
+      String.fromCodePoint(
+        TENGWAR[tengwa][0],
+        ...signs.map((sign) => SIGNS[sign][0])
+      )
+    )
+    .join("");
+}
+
+/**
+ * Return the columns of tengwar as a string in the Dan Smith encoding
+ */
+function encodeDanSmith(columns) {
+  return columns
+    .map(
+      ({ tengwa, signs }) =>
+        TENGWAR[tengwa][1] + signs.map((sign) => SIGNS[sign][1]).join("")
+    )
+    .join("");
+}
+
+/**
+ * Return true if a text includes tengwar as CSUR code points
+ */
+function isCsurTengwar(text) {
+  return /[\u{e000}-\u{e07f}]/u.test(text);
+}
+
+/**
+ * Turn a text in tengwar, as CSUR code points or in the Dan Smith encoding
+ * ("csur" or "dan-smith"), into an array of columns (see `transcribeWord()`).
+ * The characters that are not tengwar are ignored.
+ */
+function decodeTengwar(text, encoding) {
+  const index = encoding === "csur" ? 0 : 1;
+  const tengwar = new Map();
+  for (const [name, codes] of Object.entries(TENGWAR))
+    tengwar.set(index === 0 ? String.fromCodePoint(codes[0]) : codes[1], name);
+  const signs = new Map();
+  for (const [name, codes] of Object.entries(SIGNS)) {
+    if (index === 0) signs.set(String.fromCodePoint(codes[0]), name);
+    else for (const key of DAN_SMITH_SIGN_KEYS[name]) signs.set(key, name);
+  }
+
+  const columns = [];
+  for (const c of text) {
+    if (tengwar.has(c)) {
+      columns.push({ tengwa: tengwar.get(c), signs: [] });
+    } else if (signs.has(c)) {
+      // A sign without a tengwa is written on a carrier
+      if (columns.length === 0)
+        columns.push({ tengwa: "short-carrier", signs: [] });
+      columns[columns.length - 1].signs.push(signs.get(c));
+    }
+  }
+  return columns;
+}
+
+/**
+ * Return the possible spellings, in Latin letters, of a word in tengwar (as
+ * an array of columns) in a mode. Most tengwar can be read in several ways
+ * (i.e. calma as "c" or "k"), the spellings are all the combinations, up to
+ * MAX_READINGS.
+ */
+function readTengwar(columns, mode) {
+  const spellings = consonantSpellings(mode);
+
+  // The possible readings of each part of the word, in order
+  const parts = [];
+  for (let i = 0; i < columns.length; i++) {
+    let { tengwa, signs } = columns[i];
+    tengwa = tengwa.replace(/-nuquerna$/, "");
+    const vowels = signs.filter((sign) => VOWELS[sign] || sign === "y");
+    const marks = signs.filter((sign) => !vowels.includes(sign));
+
+    if (PUNCTUATION_TENGWAR.has(tengwa)) continue;
+
+    if (tengwa === "short-carrier" || tengwa === "long-carrier") {
+      for (const vowel of vowels)
+        parts.push([tengwa === "long-carrier" ? longVowel(vowel) : vowel]);
+      continue;
+    }
+
+    if ((tengwa === "yanta" || tengwa === "ure") && vowels.length > 0) {
+      parts.push(vowels, [tengwa === "yanta" ? "i" : "u"]);
+      continue;
+    }
+
+    // Two tengwar written for a single consonant (i.e. halla and lambe)
+    const pair =
+      columns[i + 1] && spellings.get(tengwa + "," + columns[i + 1].tengwa);
+    let consonant;
+    if (pair) {
+      consonant = pair;
+      i += 1;
+    } else {
+      consonant = readConsonant(tengwa, marks, spellings);
+    }
+
+    // The tehtar are read after the consonant they are written above
+    // (Quenya), or before it (Sindarin)
+    const tehtar = vowels.map((vowel) => [vowel]);
+    if (mode.tehtar === "following") parts.push(...tehtar, consonant);
+    else parts.push(consonant, ...tehtar);
+  }
+
+  let result = [""];
+  for (const part of parts) {
+    result = result
+      .flatMap((prefix) => part.map((x) => prefix + x))
+      .slice(0, MAX_READINGS);
+  }
+  return [...new Set(result)].filter((x) => x);
+}
+
+/**
+ * Return the possible spellings of a tengwa with the signs that are not
+ * vowels (the nasalization and doubling bars, the dots below)
+ */
+function readConsonant(tengwa, marks, spellings) {
+  const key = [tengwa, ...marks.filter((x) => x !== "double")].join("+");
+  let result = spellings.get(key);
+  if (!result) {
+    result = (spellings.get(tengwa) ?? [TENGWA_VOWELS[tengwa] ?? ""]).map(
+      (x) =>
+        (marks.includes("nasal") ? "n" : "") +
+        x +
+        (marks.includes("y-below") ? "y" : "")
+    );
+  }
+  if (marks.includes("double")) result = result.map((x) => x + x.slice(-1));
+  return result;
+}
+
+/**
+ * Return the spellings of the consonants of a mode, by tengwar (i.e.
+ * "calma" for "c" and "k", "halla,lambe" for "hl")
+ */
+function consonantSpellings(mode) {
+  if (!mode.spellings) {
+    const result = new Map();
+    for (const consonant of mode.consonants) {
+      const key = consonant.tengwar.join(",");
+      const list = result.get(key) ?? [];
+      for (const spelling of consonant.spelling)
+        if (!list.includes(spelling)) list.push(spelling);
+      result.set(key, list);
+    }
+    mode.spellings = result;
+  }
+  return mode.spellings;
+}
+
+/**
+ * Return the long form of a vowel (i.e. "á" for "a")
+ */
+function longVowel(vowel) {
+  return (
+    Object.keys(LONG_VOWELS).find((x) => LONG_VOWELS[x] === vowel) ?? vowel
+  );
+}
+
+module.exports = {
+  MODES,
+  DAN_SMITH_FONTS,
+  transcribeWord,
+  transcribePunctuation,
+  encodeCsur,
+  encodeDanSmith,
+  isCsurTengwar,
+  decodeTengwar,
+  readTengwar,
+};